@@ -1,11 +1,21 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
 import { Water } from 'three/addons/objects/Water.js';
+import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
 import { GUI } from 'three/addons/libs/lil-gui.module.min.js';
 
 let scene, camera, renderer, water, controls, clock, sun, sand, waterVolume;
 let causticTexture, lightShafts = []; // lightShafts変数を宣言
 let fishes = [], plants = [], rocks = [];
+let obstacles = []; // 魚が避ける障害物（岩・水草）のバウンディングボックス
+let mainLight, sideLight, fillLight, ambientLight, reflectionProbe, gui;
+let foodPellets = [], foodPoints; // 餌の粒とその描画用パーティクル
+let selectedFish = null, fishInfoPanel; // 選択中の魚とその情報パネル
+let deadFishes = []; // 死んで沈んでいく魚
+let airStones = [], bubbleMesh; // エアストーンと泡のインスタンス描画
+let transformControls, editorSelection = null; // 編集モードの操作ハンドルと選択中の岩・水草
+let enclosure, underwaterFog, roomFog, underwaterTint; // 水槽のガラス・枠・部屋と、水中・水の外の霧
 
 // 設定パラメータを水槽表現用に調整
 const params = {
@@ -18,130 +28,577 @@ const params = {
     fishCount: 8,           // 魚の数
     plantDensity: 5,      // 水草の密度
     plantVariety: 3,        // 水草の種類の数
+    plantColor: '#9900ff',  // 水草の色
+    seed: 12345,            // 水槽全体を生成する乱数のシード
+    speciesMix: {           // 魚の種類の混合比率
+        neonTetra: 0.35,
+        angelfish: 0.15,
+        guppy: 0.25,
+        corydoras: 0.15,
+        pleco: 0.1
+    },
     lightIntensity: 1.5,    // 光の強度
     lightShaftOpacity: 0.4,  // 光柱の不透明度（追加）
-    numLightShafts: 5       // 光柱の数（追加）
+    numLightShafts: 5,      // 光柱の数（追加）
+    tankWidth: 30,          // 水槽の幅（X方向）
+    tankDepth: 30,          // 水槽の奥行き（Z方向）
+    tankHeight: 16,         // 水槽の高さ（水面の高さ）
+    separationWeight: 1.5,  // 群れ: 分離の強さ
+    alignmentWeight: 1.0,   // 群れ: 整列の強さ
+    cohesionWeight: 0.8,    // 群れ: 結合の強さ
+    avoidanceWeight: 2.0,   // 障害物回避の強さ
+    neighborRadius: 3.0,    // 群れとして認識する距離
+    separationRadius: 1.2,  // 近づきすぎと判断する距離
+    causticScale: 0.12,     // コースティクスの模様の細かさ
+    causticSpeed: 1.0,      // コースティクスの揺らぎの速さ
+    causticIntensity: 0.6,  // コースティクスの明るさ
+    currentDirection: 45,   // 水流の向き（度、XZ平面）
+    currentStrength: 0.3,   // 水流の強さ
+    currentTurbulence: 0.3, // 水流の乱れ
+    feedingMode: true,      // 水面クリックで餌をまく
+    pelletsPerDrop: 10,     // 1回にまく餌の数
+    lifecycle: false,       // 空腹・成長・繁殖・死を進める（餌をやらないと魚がいなくなるので初期は無効）
+    lifeSpeed: 1.0,         // 一生の時間の進む速さ
+    dayNightCycle: true,    // 時刻に合わせて照明を変える
+    timeOfDay: 12,          // 水槽内の時刻（時）
+    timeScale: 60,          // 時計の速さ（実時間1秒あたりの秒数）
+    lightsOn: 8,            // 照明が点く時刻（時）
+    photoperiod: 10,        // 照明が点いている時間（時間）
+    airStoneCount: 2,       // エアストーンの数
+    bubbleRate: 12,         // エアストーン1つが1秒に出す泡の数
+    bubbleSize: 0.06,       // 泡の大きさ
+    placeAirStones: false,  // 砂地クリックでエアストーンを置く
+    quality: 'auto',        // 描画品質（'auto' はフレーム時間から自動で切り替える）
+    showStats: true,        // FPS とフレーム時間を表示する
+    shadows: true,          // 影を描く
+    shadowType: 'pcfSoft',  // 影の描き方（'basic' | 'pcf' | 'pcfSoft' | 'vsm'）
+    shadowMapSize: 0,       // 影の解像度（0 は描画品質のプリセットに従う）
+    shadowRadius: 3,        // 影のぼかしの半径（PCF と VSM のみ）
+    editMode: false,        // 岩と水草を配置・編集するモード
+    paletteItem: 'lavaRock', // 編集モードで砂地をクリックした時に置くもの
+    transformMode: 'translate', // 選択したものの操作（'translate' | 'rotate' | 'scale'）
+    screenshotResolution: '4k', // スクリーンショットの解像度（CAPTURE_RESOLUTIONS のキー）
+    videoResolution: '1080p', // 録画の解像度
+    videoFps: 60,           // 録画のフレームレート
+    videoDuration: 10,      // 録画の長さ（秒）
+    kioskMode: false,       // 操作がない間カメラが自動で水槽を巡る
+    kioskIdleTimeout: 30,   // ツアーを再開するまでの操作がない時間（秒）
+    tourSpeed: 1,           // カメラツアーの速さ
+    showGlass: true,        // ガラスと枠を表示する
+    glassTint: '#6fb8a0',   // ガラスの縁の色
+    showCabinet: true,      // 水槽台を表示する
+    showRoom: true,         // 床と背景の壁を表示する
+    wallColor: '#2c3440',   // 背景の壁の色
+    substrateTool: 'none',  // 底床のブラシ（'none' | 'raise' | 'lower' | 'smooth' | 'paint'）
+    brushRadius: 2,         // ブラシの半径
+    brushStrength: 1,       // ブラシの強さ（1秒あたりに盛る・掘る高さ）
+    paintMaterial: 'gravel' // 塗る素材（SUBSTRATE_MATERIALS の key）
 };
 
-// 砂地生成関数 (シンプルに保持)
-function generateSandGeometry(size, segments, height) {
-    const geometry = new THREE.PlaneGeometry(size, size, segments, segments);
-    for (let i = 0; i < geometry.attributes.position.count; i++) {
-        const x = geometry.attributes.position.getX(i);
-        const y = geometry.attributes.position.getY(i);
-        const noise =
-            1.5 * Math.sin(x * 0.5) * Math.cos(y * 0.5) +
-            0.8 * Math.sin(x * 2.0 + y) +
-            0.9 * Math.cos(y * 3.0 + x * 0.5) +
-            0.6 * (Math.random() - 0.5);
-        geometry.attributes.position.setZ(i, noise * height);
+// コースティクスのシェーダーで共有するユニフォーム
+// causticTime は init で水面マテリアルの time ユニフォームそのものに差し替える
+const causticUniforms = {
+    causticMap: { value: null },
+    causticTime: { value: 0 },
+    causticScale: { value: params.causticScale },
+    causticSpeed: { value: params.causticSpeed },
+    causticIntensity: { value: params.causticIntensity },
+    causticWaterLevel: { value: params.tankHeight },
+    causticLightDirection: { value: new THREE.Vector3(0, -1, 0) }
+};
+
+// シード値から再現可能な乱数列（0以上1未満）を作る関数（mulberry32）
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// 乱数列から次のシード値（32bit整数）を取り出す関数
+function randomSeed(random) {
+    return Math.floor(random() * 4294967296);
+}
+
+// 全体のシードと用途名から、用途ごとに独立したシードを作る関数（FNV-1a）
+// 水草の密度を変えても岩や魚の配置が変わらないよう、生成器ごとに乱数列を分ける
+function deriveSeed(name) {
+    let hash = 2166136261;
+    const seed = params.seed >>> 0;
+    for (let i = 0; i < 4; i++) {
+        hash = Math.imul(hash ^ ((seed >>> (i * 8)) & 0xff), 16777619);
+    }
+    for (let i = 0; i < name.length; i++) {
+        hash = Math.imul(hash ^ name.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+}
+
+// 水流のシェーダーで共有するユニフォーム
+// currentTime は init で水面マテリアルの time ユニフォームそのものに差し替える
+const currentUniforms = {
+    currentTime: { value: 0 },
+    currentDirection: { value: new THREE.Vector2(1, 0) },
+    currentStrength: { value: params.currentStrength },
+    currentTurbulence: { value: params.currentTurbulence },
+    currentFloor: { value: 0.1 },
+    currentFloorMap: { value: null },                 // 底床の高さ（substrate.heightMap）
+    currentFloorGrid: { value: new THREE.Vector2(1, 1) }, // 高さのグリッドの点の数
+    currentFloorSize: { value: new THREE.Vector2(1, 1) }  // 底床の幅と奥行き
+};
+
+// 魚が泳げる範囲（壁・砂地・水面から少し内側）を返す関数
+function getSwimBounds(target = new THREE.Box3()) {
+    const margin = 1;
+    return target.set(
+        new THREE.Vector3(-params.tankWidth / 2 + margin, 1, -params.tankDepth / 2 + margin),
+        new THREE.Vector3(params.tankWidth / 2 - margin, params.tankHeight - 1.5, params.tankDepth / 2 - margin)
+    );
+}
+
+// 水槽の底面上のランダムな位置を返す関数（壁からmarginだけ内側、randomは乱数列）
+function randomFloorPosition(margin, random) {
+    return {
+        x: (random() - 0.5) * (params.tankWidth - margin * 2),
+        z: (random() - 0.5) * (params.tankDepth - margin * 2)
+    };
+}
+
+// 底床の素材（ブラシで塗り分け、頂点ごとの割合で混ぜる）
+const SUBSTRATE_MATERIALS = [
+    { key: 'sand', name: 'Sand', color: 0xfbecc4, roughness: 0.8 },
+    { key: 'gravel', name: 'Gravel', color: 0x9a968e, roughness: 0.6 },
+    { key: 'aquasoil', name: 'Aquasoil', color: 0x3d2b1f, roughness: 0.95 }
+];
+
+// 底床の高さと素材のグリッド（砂地のジオメトリの頂点と同じ並び）
+// heights は砂地の基準からの高さ、weights は頂点ごとの素材の割合（SUBSTRATE_MATERIALS の順に3つずつ）
+const substrate = {
+    width: 0,
+    depth: 0,
+    columns: 0,
+    rows: 0,
+    heights: new Float32Array(0),
+    weights: new Float32Array(0),
+    heightMap: null,   // 水草の揺れのシェーダーで底の高さを引くためのテクスチャ
+    edited: false      // ブラシで変えたか（変えた場合だけレイアウトに保存する）
+};
+
+const SUBSTRATE_MIN_HEIGHT = -0.05; // ブラシではこれより下には掘れない
+const SUBSTRATE_MAX_HEIGHT = 8;
+
+// 底床の高さと素材を初期状態にする関数（高さは固定の波と乱数、素材は全て砂）
+function generateSubstrate(width, depth, segments, height, random) {
+    const depthSegments = Math.max(1, Math.round(segments * depth / width));
+    const columns = segments + 1;
+    const rows = depthSegments + 1;
+    
+    Object.assign(substrate, {
+        width,
+        depth,
+        columns,
+        rows,
+        heights: new Float32Array(columns * rows),
+        weights: new Float32Array(columns * rows * 3),
+        edited: false
+    });
+    
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const index = row * columns + column;
+            const x = -width / 2 + column * width / segments;
+            const y = depth / 2 - row * depth / depthSegments; // 回転前の平面の座標（奥が +y）
+            const noise =
+                1.5 * Math.sin(x * 0.5) * Math.cos(y * 0.5) +
+                0.8 * Math.sin(x * 2.0 + y) +
+                0.9 * Math.cos(y * 3.0 + x * 0.5) +
+                0.6 * (random() - 0.5);
+            substrate.heights[index] = noise * height;
+            substrate.weights[index * 3] = 1;
+        }
+    }
+}
+
+// グリッドの点 (column, row) のワールド座標の x, z
+function getSubstratePointX(column) {
+    return -substrate.width / 2 + column * substrate.width / (substrate.columns - 1);
+}
+
+function getSubstratePointZ(row) {
+    return -substrate.depth / 2 + row * substrate.depth / (substrate.rows - 1);
+}
+
+// 底床のグリッドから砂地のジオメトリを作り直す関数
+// 平面を X 軸で -90° 回すので、グリッドの行の順（奥から手前）と頂点の順が一致する
+function buildSandGeometry() {
+    const { width, depth, columns, rows } = substrate;
+    const geometry = new THREE.PlaneGeometry(width, depth, columns - 1, rows - 1);
+    geometry.setAttribute('substrateWeights', new THREE.BufferAttribute(substrate.weights, 3));
+    
+    sand.geometry.dispose();
+    sand.geometry = geometry;
+    
+    if (substrate.heightMap) {
+        substrate.heightMap.dispose();
+    }
+    substrate.heightMap = new THREE.DataTexture(new Uint16Array(columns * rows), columns, rows, THREE.RedFormat, THREE.HalfFloatType);
+    substrate.heightMap.magFilter = THREE.LinearFilter;
+    substrate.heightMap.minFilter = THREE.LinearFilter;
+    currentUniforms.currentFloorMap.value = substrate.heightMap;
+    currentUniforms.currentFloorGrid.value.set(columns, rows);
+    currentUniforms.currentFloorSize.value.set(width, depth);
+    
+    updateSandGeometry();
+}
+
+// 底床の高さと素材を砂地のジオメトリと高さのテクスチャに反映する関数
+function updateSandGeometry() {
+    const { geometry } = sand;
+    const position = geometry.attributes.position;
+    const { heights } = substrate;
+    const heightData = substrate.heightMap.image.data;
+    
+    // テクスチャも同じ並びなので、奥 (-z) の行が v = 0 になる
+    for (let i = 0; i < heights.length; i++) {
+        position.setZ(i, heights[i]);
+        heightData[i] = THREE.DataUtils.toHalfFloat(heights[i]);
     }
+    
+    position.needsUpdate = true;
+    geometry.attributes.substrateWeights.needsUpdate = true;
     geometry.computeVertexNormals();
-    return geometry;
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+    substrate.heightMap.needsUpdate = true;
+}
+
+// 砂地の (x, z) での高さを求める関数（砂地の外では端の高さ）
+// ジオメトリと同じ三角形で補間するので、置いた物がちょうど面の上に乗る
+function getSandHeight(x, z) {
+    const { columns, rows, heights } = substrate;
+    const gridX = THREE.MathUtils.clamp((x / substrate.width + 0.5) * (columns - 1), 0, columns - 1);
+    const gridZ = THREE.MathUtils.clamp((z / substrate.depth + 0.5) * (rows - 1), 0, rows - 1);
+    const column = Math.min(Math.floor(gridX), columns - 2);
+    const row = Math.min(Math.floor(gridZ), rows - 2);
+    const fx = gridX - column;
+    const fz = gridZ - row;
+    
+    // PlaneGeometry はセルを (column, row + 1) と (column + 1, row) を結ぶ対角線で2つの三角形に分ける
+    const a = heights[row * columns + column];
+    const b = heights[(row + 1) * columns + column];
+    const c = heights[(row + 1) * columns + column + 1];
+    const d = heights[row * columns + column + 1];
+    const height = fx + fz <= 1 ?
+        a + (d - a) * fx + (b - a) * fz :
+        c + (b - c) * (1 - fx) + (d - c) * (1 - fz);
+    return sand.position.y + height;
+}
+
+// 底床の素材を混ぜて砂地の色と粗さを決めるシェーダーフック
+// 砂は細かい粒、砂利は大きな斑、ソイルは暗い粒に見えるよう、ワールド座標のノイズで明るさを変える
+const substrateUniforms = {
+    substrateColors: { value: SUBSTRATE_MATERIALS.map(material => new THREE.Color(material.color)) },
+    substrateRoughness: { value: new THREE.Vector3(...SUBSTRATE_MATERIALS.map(material => material.roughness)) }
+};
+
+function substrateHook(shader) {
+    Object.assign(shader.uniforms, substrateUniforms);
+    shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>
+            attribute vec3 substrateWeights;
+            varying vec3 vSubstrateWeights;
+            varying vec2 vSubstratePosition;`)
+        .replace('#include <begin_vertex>', `#include <begin_vertex>
+            vSubstrateWeights = substrateWeights;
+            vSubstratePosition = (modelMatrix * vec4(transformed, 1.0)).xz;`);
+    shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', `#include <common>
+            uniform vec3 substrateColors[3];
+            uniform vec3 substrateRoughness;
+            varying vec3 vSubstrateWeights;
+            varying vec2 vSubstratePosition;
+
+            float substrateHash(vec2 p) {
+                return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+            }
+
+            float substrateNoise(vec2 p) {
+                vec2 i = floor(p);
+                vec2 f = fract(p);
+                f = f * f * (3.0 - 2.0 * f);
+                return mix(
+                    mix(substrateHash(i), substrateHash(i + vec2(1.0, 0.0)), f.x),
+                    mix(substrateHash(i + vec2(0.0, 1.0)), substrateHash(i + vec2(1.0, 1.0)), f.x),
+                    f.y
+                );
+            }`)
+        .replace('#include <color_fragment>', `#include <color_fragment>
+            vec3 substrateWeight = vSubstrateWeights / max(dot(vSubstrateWeights, vec3(1.0)), 1e-3);
+            float grain = substrateNoise(vSubstratePosition * 8.0);
+            float pebble = substrateNoise(vSubstratePosition * 2.5);
+            diffuseColor.rgb *=
+                substrateColors[0] * (0.92 + 0.16 * grain) * substrateWeight.x +
+                substrateColors[1] * (0.55 + 0.9 * smoothstep(0.3, 0.7, pebble)) * substrateWeight.y +
+                substrateColors[2] * (0.8 + 0.4 * grain) * substrateWeight.z;`)
+        .replace('#include <roughnessmap_fragment>', `#include <roughnessmap_fragment>
+            roughnessFactor = dot(substrateWeight, substrateRoughness);`);
 }
 
 // ウィローモスを生成する関数
-function createWillowMoss(size, mossColor) {
-    const moss = new THREE.Group();
+// 点の位置だけを持たせ、描画は全ての水草をまとめた PlantBatch で行う
+function createWillowMoss(size, mossColor, random) {
+    const moss = createPlantGroup(mossColor);
     
     // モスの粒子の数
     const particleCount = Math.floor(size * 100);
-    
-    // パーティクル用のジオメトリ
-    const geometry = new THREE.BufferGeometry();
     const positions = new Float32Array(particleCount * 3);
-    const scales = new Float32Array(particleCount);
-    const colors = new Float32Array(particleCount * 3);
     
     // ランダムな点を半球状に配置
     for (let i = 0; i < particleCount; i++) {
         // ランダムな角度と距離（半球状）
-        const angle = Math.random() * Math.PI * 2;
-        const radius = size * Math.random();
-        const height = size * 0.2 * Math.random();
+        const angle = random() * Math.PI * 2;
+        const radius = size * random();
+        const height = size * 0.2 * random();
         
         positions[i * 3] = Math.cos(angle) * radius;
         positions[i * 3 + 1] = height;
         positions[i * 3 + 2] = Math.sin(angle) * radius;
         
-        // サイズのバリエーション
-        scales[i] = 0.03 + Math.random() * 0.03;
-        
-        // 色の微妙なバリエーション
-        const shade = 0.5 + Math.random() * 0.3;
-        colors[i * 3] = 0.1 * shade;
-        colors[i * 3 + 1] = 0.5 * shade;
-        colors[i * 3 + 2] = 0.1 * shade;
+        // 以前は粒ごとの大きさと色にも乱数を使っていた。同じシードで同じ形になるよう、使わなくなった分も引いておく
+        random();
+        random();
     }
     
-    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    geometry.setAttribute('scale', new THREE.BufferAttribute(scales, 1));
-    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-    
-    // シェーダーマテリアル
-    const material = new THREE.PointsMaterial({
-        color: mossColor || 0x4a7834,
-        size: 0.05,
-        sizeAttenuation: true,
-        transparent: true,
-        opacity: 0.8
-    });
-    
-    const points = new THREE.Points(geometry, material);
-    moss.add(points);
-    
+    moss.userData.mossPositions = positions;
     return moss;
 }
 
-// 魚のジオメトリを作る関数
-function createFishGeometry(size) {
-    const bodyLength = size;
-    const bodyHeight = size * 0.5;
-    const bodyWidth = size * 0.25;
-    
-    // 魚の体
-    const body = new THREE.Group();
+// 魚の種類の登録
+// shape: 体の形（size に対する比率）、sizeRange: 大きさの範囲、depthBand: 好む深さ（泳げる範囲の下端0〜上端1）
+// speed: 泳ぐ速さの倍率、tailFrequency: 尾びれを振る速さの範囲、schooling: 群れを作る傾向（0〜1）
+const fishSpecies = {
+    neonTetra: {
+        name: 'Neon Tetra',
+        colors: [
+            { body: 0x3a86ff, fin: 0xff006e },  // 青＆赤
+            { body: 0x00bbf9, fin: 0xff2e4c },  // 水色＆赤
+        ],
+        shape: { length: 1.0, height: 0.28, width: 0.16, belly: 1.0, tailLength: 0.3, tailHeight: 0.3, tailFork: 0.5, pectoral: 0.15, dorsal: 0.12, anal: 0.1 },
+        sizeRange: [0.4, 0.55],
+        depthBand: [0.4, 0.75],
+        speed: 1.2,
+        tailFrequency: [6, 8],
+        schooling: 1.0
+    },
+    angelfish: {
+        name: 'Angelfish',
+        colors: [
+            { body: 0xe0e0e0, fin: 0x333333 },  // シルバー
+            { body: 0xffbe0b, fin: 0xfff1a8 },  // ゴールド
+            { body: 0x222222, fin: 0x555555 },  // ブラック
+        ],
+        shape: { length: 0.7, height: 0.75, width: 0.14, belly: 1.0, tailLength: 0.35, tailHeight: 0.5, tailFork: 0.8, pectoral: 0.15, dorsal: 0.9, anal: 0.8 },
+        sizeRange: [0.9, 1.3],
+        depthBand: [0.5, 0.9],
+        speed: 0.6,
+        tailFrequency: [2, 3],
+        schooling: 0.3
+    },
+    guppy: {
+        name: 'Guppy',
+        colors: [
+            { body: 0xff5a00, fin: 0xff8c40 },  // オレンジ＆イエロー（ゴールデンファイヤー）
+            { body: 0x3a86ff, fin: 0x00f5d4 },  // 青＆水色（ブルーネオン）
+            { body: 0xff006e, fin: 0x8338ec },  // ピンク＆紫（レッドフレーム）
+            { body: 0xffbe0b, fin: 0xfb5607 },  // 黄色＆オレンジ（サンバースト）
+            { body: 0x00bbf9, fin: 0xfee440 },  // 水色＆黄色（トロピカルダスク）
+            { body: 0x9b5de5, fin: 0xf15bb5 },  // 紫＆ピンク（ミスティックグロー）
+        ],
+        shape: { length: 0.8, height: 0.3, width: 0.18, belly: 1.0, tailLength: 0.6, tailHeight: 0.6, tailFork: 1.0, pectoral: 0.15, dorsal: 0.2, anal: 0.0 },
+        sizeRange: [0.45, 0.65],
+        depthBand: [0.7, 1.0],
+        speed: 1.0,
+        tailFrequency: [4, 6],
+        schooling: 0.6
+    },
+    corydoras: {
+        name: 'Corydoras',
+        colors: [
+            { body: 0xc8b48a, fin: 0x8a7a5a },  // ベージュ
+            { body: 0xf2d7c4, fin: 0xe8c3a8 },  // アルビノ
+            { body: 0x8d6e3f, fin: 0x5a4a2a },  // ブロンズ
+        ],
+        shape: { length: 0.9, height: 0.4, width: 0.3, belly: 0.5, tailLength: 0.3, tailHeight: 0.35, tailFork: 0.6, pectoral: 0.25, dorsal: 0.3, anal: 0.1 },
+        sizeRange: [0.45, 0.6],
+        depthBand: [0.0, 0.12],
+        speed: 0.7,
+        tailFrequency: [5, 7],
+        schooling: 0.8
+    },
+    pleco: {
+        name: 'Bristlenose Pleco',
+        colors: [
+            { body: 0x4a4034, fin: 0x2e2820 },  // ダークブラウン
+            { body: 0xffcc99, fin: 0xffe0c0 },  // アルビノ
+        ],
+        shape: { length: 1.0, height: 0.22, width: 0.38, belly: 0.4, tailLength: 0.25, tailHeight: 0.25, tailFork: 0.9, pectoral: 0.35, pectoralFlat: true, dorsal: 0.2, anal: 0.0 },
+        sizeRange: [0.8, 1.1],
+        depthBand: [0.0, 0.04],
+        speed: 0.35,
+        tailFrequency: [1.5, 2.5],
+        schooling: 0.0
+    }
+};
+
+// 種類の情報を返す関数（登録されていない種類はグッピーとして扱う）
+function getSpecies(key) {
+    return fishSpecies[key] || fishSpecies.guppy;
+}
+
+// 頂点シェーダーで泳ぎを表現するための部位の番号
+const SWIM_PART = { body: 0, tail: 1, finLeft: 2, finRight: 3, finMedian: 4 };
+
+// ジオメトリの全頂点に部位の番号を設定する関数
+function setSwimPart(geometry, part) {
+    const count = geometry.getAttribute('position').count;
+    geometry.setAttribute('swimPart', new THREE.BufferAttribute(new Float32Array(count).fill(part), 1));
+    return geometry;
+}
+
+// 三角形のヒレのジオメトリを作る関数
+function createFinGeometry(vertices, part) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertices), 3));
+    geometry.computeVertexNormals();
+    return setSwimPart(geometry, part);
+}
+
+// 魚のジオメトリを作る関数（shape は種類ごとの体の形）
+function createFishGeometry(size, shape) {
+    const bodyLength = size * shape.length;
+    const bodyHeight = size * shape.height;
+    const bodyWidth = size * shape.width;
     
-    // 胴体部分 - メインボディ
-    const bodyGeo = new THREE.ConeGeometry(bodyHeight * 0.5, bodyLength, 8);
-    bodyGeo.rotateZ(Math.PI / 2);
-    bodyGeo.translate(bodyLength * 0.25, 0, 0);
+    // 胴体部分 - 楕円体を尾に向かって細くし、種類によって腹を平らにする
+    const bodyGeo = new THREE.SphereGeometry(0.5, 16, 12);
+    bodyGeo.scale(bodyLength, bodyHeight, bodyWidth);
+    const bodyPosition = bodyGeo.getAttribute('position');
+    for (let i = 0; i < bodyPosition.count; i++) {
+        const headRatio = bodyPosition.getX(i) / bodyLength + 0.5; // 尾0〜頭1
+        const taper = 0.6 + 0.4 * Math.sqrt(headRatio);
+        const y = bodyPosition.getY(i) * taper;
+        bodyPosition.setY(i, y < 0 ? y * shape.belly : y);
+        bodyPosition.setZ(i, bodyPosition.getZ(i) * taper);
+    }
+    bodyGeo.computeVertexNormals();
+    setSwimPart(bodyGeo, SWIM_PART.body);
     
-    // 尾びれ - 三角形のジオメトリで
-    const tailGeo = new THREE.BufferGeometry();
-    const tailVertices = new Float32Array([
+    // 尾びれ - 胴体の後端から、二股（tailFork < 1）または扇形に伸ばす
+    const tailLength = size * shape.tailLength;
+    const tailHalfHeight = size * shape.tailHeight * 0.5;
+    const forkDepth = tailLength * shape.tailFork;
+    const tailGeo = createFinGeometry([
         0, 0, 0,
-        -bodyLength * 0.4, bodyHeight * 0.5, 0,
-        -bodyLength * 0.4, -bodyHeight * 0.5, 0
-    ]);
-    tailGeo.setAttribute('position', new THREE.BufferAttribute(tailVertices, 3));
-    tailGeo.computeVertexNormals();
-    tailGeo.translate(-bodyLength * 0.3, 0, 0);
-    
-    // 側面のヒレ（左）
-    const finLeftGeo = new THREE.BufferGeometry();
-    const finLeftVertices = new Float32Array([
+        -tailLength, tailHalfHeight, 0,
+        -forkDepth, 0, 0,
         0, 0, 0,
-        bodyLength * 0.1, -bodyHeight * 0.6, 0,
-        -bodyLength * 0.2, -bodyHeight * 0.6, 0
-    ]);
-    finLeftGeo.setAttribute('position', new THREE.BufferAttribute(finLeftVertices, 3));
-    finLeftGeo.computeVertexNormals();
-    finLeftGeo.translate(0, 0, bodyWidth * 0.5);
+        -forkDepth, 0, 0,
+        -tailLength, -tailHalfHeight, 0
+    ], SWIM_PART.tail);
+    tailGeo.translate(-bodyLength * 0.45, 0, 0);
+    
+    // 側面のヒレ（左）- 底生の種類は水平に広げる
+    const pectoral = size * shape.pectoral;
+    const finLeftGeo = createFinGeometry([
+        0, 0, 0,
+        pectoral * 0.4, -pectoral, 0,
+        -pectoral * 0.8, -pectoral, 0
+    ], SWIM_PART.finLeft);
+    if (shape.pectoralFlat) {
+        finLeftGeo.rotateX(-Math.PI / 2);
+    }
+    const finPivot = new THREE.Vector2(-bodyHeight * 0.2, bodyWidth * 0.5); // 付け根の (y, z)
+    finLeftGeo.translate(bodyLength * 0.15, finPivot.x, finPivot.y);
     
     // 側面のヒレ（右）
-    const finRightGeo = finLeftGeo.clone();
-    finRightGeo.translate(0, 0, -bodyWidth);
+    const finRightGeo = setSwimPart(finLeftGeo.clone(), SWIM_PART.finRight);
+    finRightGeo.scale(1, 1, -1);
+    
+    // 背びれと尻びれ（エンゼルフィッシュでは大きく後ろへ伸びる）
+    const extraFinGeos = [];
+    if (shape.dorsal > 0) {
+        const dorsal = size * shape.dorsal;
+        extraFinGeos.push(createFinGeometry([
+            bodyLength * 0.15, bodyHeight * 0.4, 0,
+            -bodyLength * 0.3, bodyHeight * 0.35 + dorsal, 0,
+            -bodyLength * 0.3, bodyHeight * 0.3, 0
+        ], SWIM_PART.finMedian));
+    }
+    if (shape.anal > 0) {
+        const anal = size * shape.anal;
+        extraFinGeos.push(createFinGeometry([
+            bodyLength * 0.05, -bodyHeight * 0.4 * shape.belly, 0,
+            -bodyLength * 0.3, -bodyHeight * 0.3 * shape.belly, 0,
+            -bodyLength * 0.3, -bodyHeight * 0.35 * shape.belly - anal, 0
+        ], SWIM_PART.finMedian));
+    }
     
-    return { bodyGeo, tailGeo, finLeftGeo, finRightGeo };
+    return { bodyGeo, tailGeo, finLeftGeo, finRightGeo, extraFinGeos, finPivot };
+}
+
+// 魚の泳ぎを表現する頂点シェーダーの処理
+// 頭から尾へ進む体の波（尾に近いほど大きく振れる）、旋回時の体の曲がり、胸びれの羽ばたき
+const swimShaderChunk = `
+    attribute float swimPart;
+    uniform float swimPhase;
+    uniform float swimAmplitude;
+    uniform float swimBend;
+    uniform float swimFlap;
+    uniform float swimLength;
+    uniform vec2 swimFinPivot;
+
+    void applySwim(inout vec3 p) {
+        // 胸びれは付け根（X軸に平行な線）を軸に左右対称に回す
+        if (swimPart > 1.5 && swimPart < 3.5) {
+            float side = swimPart < 2.5 ? 1.0 : -1.0;
+            vec2 pivot = vec2(swimFinPivot.x, swimFinPivot.y * side);
+            vec2 local = p.yz - pivot;
+            float angle = swimFlap * side;
+            float c = cos(angle);
+            float s = sin(angle);
+            p.yz = pivot + vec2(c * local.x - s * local.y, s * local.x + c * local.y);
+        }
+
+        // 頭が0、胴体の後端が1になる位置
+        float u = max(0.0, 0.5 - p.x / swimLength);
+        float weight = u * u;
+        p.z += swimLength * weight * (swimAmplitude * sin(swimPhase - u * 4.0) + swimBend);
+    }
+`;
+
+// 魚のマテリアルに泳ぎのシェーダーフックを追加する関数（ユニフォームは魚ごと）
+function addSwimHook(material, swimUniforms) {
+    addShaderHook(material, 'swim', shader => {
+        Object.assign(shader.uniforms, swimUniforms);
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>
+                ${swimShaderChunk}`)
+            .replace('#include <begin_vertex>', `#include <begin_vertex>
+                applySwim(transformed);`);
+    });
 }
 
 // 魚を生成する関数
-function createFish(size, color1, color2, position) {
+function createFish(size, color1, color2, position, species, random) {
     const fish = new THREE.Group();
+    const speciesInfo = getSpecies(species);
     
     // 魚のジオメトリを取得
-    const { bodyGeo, tailGeo, finLeftGeo, finRightGeo } = createFishGeometry(size);
+    const { bodyGeo, tailGeo, finLeftGeo, finRightGeo, extraFinGeos, finPivot } = createFishGeometry(size, speciesInfo.shape);
     
     // 魚の体の色を設定
     const bodyMat = new THREE.MeshPhongMaterial({
@@ -161,6 +618,22 @@ function createFish(size, color1, color2, position) {
         opacity: 0.8
     });
     
+    // 泳ぎの動きは頂点シェーダーで付ける（魚ごとのユニフォームを体とヒレで共有）
+    const swimUniforms = {
+        swimPhase: { value: random() * Math.PI * 2 },
+        swimAmplitude: { value: 0 },
+        swimBend: { value: 0 },
+        swimFlap: { value: 0 },
+        swimLength: { value: size * speciesInfo.shape.length },
+        swimFinPivot: { value: finPivot }
+    };
+    addSwimHook(bodyMat, swimUniforms);
+    addSwimHook(finMat, swimUniforms);
+    
+    // 影も体と一緒にくねるよう、影の描画用のマテリアルにも同じ泳ぎを加える
+    const depthMat = new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking });
+    addSwimHook(depthMat, swimUniforms);
+    
     // 魚の各パーツを作成
     const body = new THREE.Mesh(bodyGeo, bodyMat);
     const tail = new THREE.Mesh(tailGeo, finMat);
@@ -168,34 +641,233 @@ function createFish(size, color1, color2, position) {
     const finRight = new THREE.Mesh(finRightGeo, finMat);
     
     fish.add(body, tail, finLeft, finRight);
+    extraFinGeos.forEach(geometry => fish.add(new THREE.Mesh(geometry, finMat)));
     fish.position.copy(position);
     
-    // 各魚の動きのパラメータ
+    fish.traverse(child => {
+        child.castShadow = true;
+        child.receiveShadow = true;
+        if (child.isMesh) child.customDepthMaterial = depthMat;
+    });
+    
+    // 各魚の動きのパラメータ（種類ごとの速さ・尾びれの速さに個体差をつける）
+    const speedFactor = speciesInfo.speed * (0.8 + random() * 0.4);
+    const [minTailFrequency, maxTailFrequency] = speciesInfo.tailFrequency;
     fish.userData = {
-        speed: params.fishSpeed * (0.8 + Math.random() * 0.4),
-        turnSpeed: 0.02 + Math.random() * 0.03,
+        speedFactor: speedFactor,        // 個体差（GUIの速さに掛ける）
+        speed: params.fishSpeed * speedFactor,
+        turnSpeed: 0.02 + random() * 0.03,
         targetPosition: new THREE.Vector3(),
         currentTarget: new THREE.Vector3(),
         timeToNewTarget: 0,
         size: size,
-        tailSpeed: 2 + Math.random() * 2,
-        tailAngle: 0,
-        originalY: position.y
+        tailSpeed: THREE.MathUtils.lerp(minTailFrequency, maxTailFrequency, random()),
+        swimUniforms: swimUniforms,
+        species: species,                // 同じ種類同士で群れを作る
+        velocity: new THREE.Vector3(),   // 群れ行動で使う現在の速度
+        // 一生のパラメータ（秒は lifeSpeed を掛けた水槽内の時間）
+        age: 0,
+        lifespan: THREE.MathUtils.lerp(FISH_LIFESPAN[0], FISH_LIFESPAN[1], random()),
+        hunger: random() * 0.3,          // 0: 満腹 〜 1: 飢餓
+        energy: 1,                       // 0になると死ぬ
+        growth: 1,                       // 0: 稚魚 〜 1: 成魚
+        breedCooldown: 0
     };
     
     return fish;
 }
 
-// ハイグロフィアの水草を生成する関数（より多様なバリエーション）
-function createHygrophila(height, radius, segments, plantColor, variety = 0) {
+// 水草の描画をまとめるバッチ
+// 水草ごとにメッシュを作ると密度に比例して描画回数が増えるので、部品の種類（茎・葉・細長い葉・モス）ごとに
+// 全ての水草を1つの InstancedMesh / Points にまとめる。水草のグループは色と部品の配置だけを持つ
+const PLANT_BATCHES = {
+    stem: {
+        geometry: new THREE.CylinderGeometry(1, 1, 1, 4, 1), // 太さ・高さはインスタンスの拡大で決める
+        material: { roughness: 0.8, emissiveIntensity: 0.2 }
+    },
+    leaf: {
+        geometry: new THREE.PlaneGeometry(1, 1),
+        material: { roughness: 0.8, side: THREE.DoubleSide, transparent: true, opacity: 0.9, emissiveIntensity: 0.3 }
+    },
+    ribbon: {
+        geometry: new THREE.PlaneGeometry(1, 1),
+        material: { roughness: 0.7, side: THREE.DoubleSide, transparent: true, opacity: 0.9, emissiveIntensity: 0.2 }
+    }
+};
+
+// 水草の色から部品ごとの色を求める（茎は暗く、バリスネリアは黄緑色寄りに）
+const _ribbonTint = new THREE.Color(0xaaff00);
+const PLANT_PART_TINTS = {
+    stem: color => color.multiplyScalar(0.7),
+    leaf: color => color,
+    ribbon: color => color.lerp(_ribbonTint, 0.3)
+};
+
+const plantBatches = {}; // 部品の種類ごとの InstancedMesh と、モスの Points
+let plantBatchesDirty = false; // 水草が増減・移動したらバッチを作り直す
+
+const _partPosition = new THREE.Vector3();
+const _partRotation = new THREE.Euler();
+const _partQuaternion = new THREE.Quaternion();
+const _partScale = new THREE.Vector3();
+const _partUp = new THREE.Vector3(0, 1, 0);
+const _partMatrix = new THREE.Matrix4();
+const _partBounds = new THREE.Box3();
+const _partColors = { stem: new THREE.Color(), leaf: new THREE.Color(), ribbon: new THREE.Color() };
+
+// 部品の一覧を持つ水草のグループを作る関数
+function createPlantGroup(color) {
     const plant = new THREE.Group();
+    plant.userData.color = new THREE.Color(color);
+    plant.userData.parts = [];
+    return plant;
+}
+
+// 水草に部品を1つ追加する関数（位置・回転・大きさは水草のローカル座標）
+function addPlantPart(plant, batch, position, quaternion, scale) {
+    plant.userData.parts.push({ batch, matrix: new THREE.Matrix4().compose(position, quaternion, scale) });
+}
+
+// 水草のローカル座標でのバウンディングボックスを求める関数
+function computePlantBounds(plant) {
+    const bounds = new THREE.Box3();
+    plant.userData.parts.forEach(part => {
+        const { geometry } = PLANT_BATCHES[part.batch];
+        if (!geometry.boundingBox) geometry.computeBoundingBox();
+        bounds.union(_partBounds.copy(geometry.boundingBox).applyMatrix4(part.matrix));
+    });
+    if (plant.userData.mossPositions) {
+        bounds.union(_partBounds.setFromArray(plant.userData.mossPositions).expandByScalar(0.05));
+    }
+    return bounds;
+}
+
+// 部品の種類ごとの InstancedMesh を作る関数（足りなくなったら大きく作り直す）
+function createPlantBatchMesh(name, capacity) {
+    const { geometry } = PLANT_BATCHES[name];
+    const previous = plantBatches[name];
+    const material = previous ? previous.material : new THREE.MeshStandardMaterial({
+        color: 0xffffff,
+        emissive: 0xffffff,
+        ...PLANT_BATCHES[name].material
+    });
+    
+    if (previous) {
+        scene.remove(previous);
+        previous.dispose();
+    }
+    
+    const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+    mesh.count = 0;
+    mesh.frustumCulled = false; // 水草は水槽全体に散らばり、水流でも揺れるのでバウンディングは使わない
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    
+    // 影も水流で揺れるよう、影の描画用のマテリアルにも同じ揺れを加える
+    mesh.customDepthMaterial = previous ? previous.customDepthMaterial : new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking });
+    addShaderHook(mesh.customDepthMaterial, 'current-stem', currentHooks.stem);
+    
+    applyCaustics(mesh);
+    applyCurrent(mesh, 'stem');
+    addShaderHook(material, 'instanceEmissive', instanceEmissiveHook);
+    scene.add(mesh);
+    plantBatches[name] = mesh;
+    return mesh;
+}
+
+// インスタンスの色を自己発光にも反映するシェーダーフック（元の水草は発光色と色が同じだったため）
+function instanceEmissiveHook(shader) {
+    shader.fragmentShader = shader.fragmentShader.replace('#include <emissivemap_fragment>', `#include <emissivemap_fragment>
+        #ifdef USE_INSTANCING_COLOR
+            totalEmissiveRadiance *= vColor;
+        #endif`);
+}
+
+// 水草のバッチを作る関数
+function createPlantBatches() {
+    Object.keys(PLANT_BATCHES).forEach(name => createPlantBatchMesh(name, 256));
+    
+    const mossMaterial = new THREE.PointsMaterial({
+        size: 0.05,
+        sizeAttenuation: true,
+        transparent: true,
+        opacity: 0.8,
+        vertexColors: true
+    });
+    plantBatches.moss = new THREE.Points(new THREE.BufferGeometry(), mossMaterial);
+    plantBatches.moss.frustumCulled = false;
+    applyCaustics(plantBatches.moss);
+    applyCurrent(plantBatches.moss, 'moss');
+    scene.add(plantBatches.moss);
+}
+
+// 全ての水草の部品をバッチに書き込む関数
+function updatePlantBatches() {
+    plantBatchesDirty = false;
+    
+    const counts = { stem: 0, leaf: 0, ribbon: 0 };
+    let mossCount = 0;
+    plants.forEach(plant => {
+        plant.userData.parts.forEach(part => counts[part.batch]++);
+        if (plant.userData.mossPositions) mossCount += plant.userData.mossPositions.length / 3;
+    });
+    
+    Object.keys(PLANT_BATCHES).forEach(name => {
+        const capacity = plantBatches[name].instanceMatrix.count;
+        if (counts[name] > capacity) {
+            createPlantBatchMesh(name, Math.max(counts[name], capacity * 2));
+        }
+    });
+    
+    // 茎・葉はインスタンスの行列と色、モスはワールド座標の点として書き込む
+    const indices = { stem: 0, leaf: 0, ribbon: 0 };
+    const mossPositions = new Float32Array(mossCount * 3);
+    const mossColors = new Float32Array(mossCount * 3);
+    let mossIndex = 0;
+    
+    plants.forEach(plant => {
+        plant.updateMatrixWorld(true);
+        Object.entries(PLANT_PART_TINTS).forEach(([name, tint]) => tint(_partColors[name].copy(plant.userData.color)));
+        
+        plant.userData.parts.forEach(part => {
+            const mesh = plantBatches[part.batch];
+            const index = indices[part.batch]++;
+            mesh.setMatrixAt(index, _partMatrix.multiplyMatrices(plant.matrixWorld, part.matrix));
+            mesh.setColorAt(index, _partColors[part.batch]);
+        });
+        
+        const positions = plant.userData.mossPositions;
+        if (positions) {
+            for (let i = 0; i < positions.length; i += 3, mossIndex++) {
+                _partPosition.fromArray(positions, i).applyMatrix4(plant.matrixWorld).toArray(mossPositions, mossIndex * 3);
+                plant.userData.color.toArray(mossColors, mossIndex * 3);
+            }
+        }
+    });
+    
+    Object.keys(PLANT_BATCHES).forEach(name => {
+        const mesh = plantBatches[name];
+        mesh.count = counts[name];
+        mesh.instanceMatrix.needsUpdate = true;
+        mesh.instanceColor.needsUpdate = true;
+    });
     
-    // 色が指定されていない場合は鮮やかな黄緑色をデフォルトに
-    const leafColor = plantColor || new THREE.Color(0x7cfc00);
-    const stemColor = new THREE.Color().copy(leafColor).multiplyScalar(0.7);
+    const mossGeometry = new THREE.BufferGeometry();
+    mossGeometry.setAttribute('position', new THREE.BufferAttribute(mossPositions, 3));
+    mossGeometry.setAttribute('color', new THREE.BufferAttribute(mossColors, 3));
+    plantBatches.moss.geometry.dispose();
+    plantBatches.moss.geometry = mossGeometry;
+}
+
+// ハイグロフィアの水草を生成する関数（より多様なバリエーション）
+function createHygrophila(height, radius, segments, plantColor, variety = 0, random) {
+    // 色が指定されていない場合は鮮やかな黄緑色をデフォルトに（茎の色は PLANT_PART_TINTS で暗くする）
+    const plant = createPlantGroup(plantColor || new THREE.Color(0x7cfc00));
     
     // 茎の数 - バリエーションによって異なる
-    const stemCount = Math.floor(2 + Math.random() * 3);
+    const stemCount = Math.floor(2 + random() * 3);
     
     // 葉の形のバリエーション（種類によって異なる）
     const leafShapes = [
@@ -208,17 +880,15 @@ function createHygrophila(height, radius, segments, plantColor, variety = 0) {
     
     // バリエーションが範囲外の場合はランダムに選択
     if (variety < 0 || variety >= leafShapes.length) {
-        variety = Math.floor(Math.random() * leafShapes.length);
+        variety = Math.floor(random() * leafShapes.length);
     }
     
     const leafShape = leafShapes[variety];
     
     for (let i = 0; i < stemCount; i++) {
-        const stemGroup = new THREE.Group();
-        
         // 各茎の位置をランダムに
-        const angle = Math.random() * Math.PI * 2;
-        const distance = radius * 0.7 * Math.random();
+        const angle = random() * Math.PI * 2;
+        const distance = radius * 0.7 * random();
         const x = Math.cos(angle) * distance;
         const z = Math.sin(angle) * distance;
         
@@ -226,7 +896,7 @@ function createHygrophila(height, radius, segments, plantColor, variety = 0) {
         const heightVariation = variety === 1 ? 1.1 : 
                                variety === 2 ? 0.8 : 
                                variety === 3 ? 1.2 : 0.9;
-        const stemHeight = height * heightVariation * (0.7 + Math.random() * 0.6);
+        const stemHeight = height * heightVariation * (0.7 + random() * 0.6);
         
         // 葉の数 - バリエーションによって異なる
         const leafDensity = variety === 0 ? 0.4 : 
@@ -240,29 +910,13 @@ function createHygrophila(height, radius, segments, plantColor, variety = 0) {
                              variety === 2 ? 0.025 : 
                              variety === 3 ? 0.02 : 0.018;
         
-        // 茎の作成
-        const stemGeometry = new THREE.CylinderGeometry(stemThickness, stemThickness, stemHeight, 4, 1);
-        const stemMaterial = new THREE.MeshStandardMaterial({
-            color: stemColor,
-            roughness: 0.8,
-            emissive: stemColor,
-            emissiveIntensity: 0.2
-        });
-        const stem = new THREE.Mesh(stemGeometry, stemMaterial);
-        stem.position.set(x, stemHeight / 2, z);
-        stemGroup.add(stem);
-        
-        // 葉の作成
-        const leafGeometry = new THREE.PlaneGeometry(leafShape.width, leafShape.height);
-        const leafMaterial = new THREE.MeshStandardMaterial({
-            color: leafColor,
-            roughness: 0.8,
-            side: THREE.DoubleSide,
-            transparent: true,
-            opacity: 0.9,
-            emissive: leafColor,
-            emissiveIntensity: 0.3
-        });
+        // 茎の作成（単位円柱を太さと高さに合わせて拡大する）
+        _partPosition.set(x, stemHeight / 2, z);
+        _partScale.set(stemThickness, stemHeight, stemThickness);
+        addPlantPart(plant, 'stem', _partPosition, _partQuaternion.identity(), _partScale);
+        
+        // 葉の大きさ
+        _partScale.set(leafShape.width, leafShape.height, 1);
         
         // 葉の配置パターン - バリエーションによって異なる
         const leafSpacing = variety === 0 ? 1.0 : // 通常の間隔
@@ -280,80 +934,58 @@ function createHygrophila(height, radius, segments, plantColor, variety = 0) {
                                variety === 2 ? 0.1 : 0.25;
             
             // 左の葉
-            const leafLeft = new THREE.Mesh(leafGeometry, leafMaterial);
-            leafLeft.position.set(x + leafShape.width * 0.6, leafHeight, z);
-            leafLeft.rotation.set(
-                Math.random() * 0.1, 
-                Math.random() * Math.PI * rotationMax, 
-                Math.random() * Math.PI * 0.1
+            _partPosition.set(x + leafShape.width * 0.6, leafHeight, z);
+            _partRotation.set(
+                random() * 0.1, 
+                random() * Math.PI * rotationMax, 
+                random() * Math.PI * 0.1
             );
-            stemGroup.add(leafLeft);
+            addPlantPart(plant, 'leaf', _partPosition, _partQuaternion.setFromEuler(_partRotation), _partScale);
             
             // 右の葉
-            const leafRight = new THREE.Mesh(leafGeometry, leafMaterial);
-            leafRight.position.set(x - leafShape.width * 0.6, leafHeight, z);
-            leafRight.rotation.set(
-                Math.random() * 0.1, 
-                -Math.random() * Math.PI * rotationMax, 
-                -Math.random() * Math.PI * 0.1
+            _partPosition.set(x - leafShape.width * 0.6, leafHeight, z);
+            _partRotation.set(
+                random() * 0.1, 
+                -random() * Math.PI * rotationMax, 
+                -random() * Math.PI * 0.1
             );
-            stemGroup.add(leafRight);
+            addPlantPart(plant, 'leaf', _partPosition, _partQuaternion.setFromEuler(_partRotation), _partScale);
         }
-        
-        plant.add(stemGroup);
     }
     
     return plant;
 }
 
 // 別種類の水草: バリスネリア（細長い草）
-function createVallisneria(height, radius, plantColor) {
-    const plant = new THREE.Group();
-    
-    const leafColor = plantColor || new THREE.Color(0x7cfc00);
-    // バリスネリアは黄緑色よりの色に
-    const adjustedColor = new THREE.Color().copy(leafColor).lerp(new THREE.Color(0xaaff00), 0.3);
+function createVallisneria(height, radius, plantColor, random) {
+    // バリスネリアは黄緑色よりの色に（PLANT_PART_TINTS で色を寄せる）
+    const plant = createPlantGroup(plantColor || new THREE.Color(0x7cfc00));
     
     // 茎の数
-    const stemCount = Math.floor(5 + Math.random() * 7);
+    const stemCount = Math.floor(5 + random() * 7);
     
     for (let i = 0; i < stemCount; i++) {
         // 細長い葉を作成
-        const leafLength = height * (0.9 + Math.random() * 0.4);
-        const leafWidth = 0.05 + Math.random() * 0.03;
+        const leafLength = height * (0.9 + random() * 0.4);
+        const leafWidth = 0.05 + random() * 0.03;
         
         // 葉のカーブを表現するため、複数の短い平面を連結
         const segments = 10;
         const leafSegmentLength = leafLength / segments;
         
         // 葉の開始位置
-        const angle = Math.random() * Math.PI * 2;
-        const distance = radius * 0.8 * Math.random();
+        const angle = random() * Math.PI * 2;
+        const distance = radius * 0.8 * random();
         const startX = Math.cos(angle) * distance;
         const startZ = Math.sin(angle) * distance;
         
         // 全体のカーブ方向
-        const curveDir = Math.random() * Math.PI * 2;
-        const curveMagnitude = 0.1 + Math.random() * 0.2;
-        
-        // 葉のグループ
-        const leafGroup = new THREE.Group();
+        const curveDir = random() * Math.PI * 2;
+        const curveMagnitude = 0.1 + random() * 0.2;
         
         // セグメントごとに位置と角度を計算して葉を作成
+        const previousPosition = new THREE.Vector3();
         for (let j = 0; j < segments; j++) {
-            const segmentGeometry = new THREE.PlaneGeometry(leafWidth, leafSegmentLength * 1.05); // 少し重ねる
-            const segmentMaterial = new THREE.MeshStandardMaterial({
-                color: adjustedColor,
-                roughness: 0.7,
-                side: THREE.DoubleSide,
-                transparent: true,
-                opacity: 0.9,
-                emissive: adjustedColor,
-                emissiveIntensity: 0.2
-            });
-            
-            const segment = new THREE.Mesh(segmentGeometry, segmentMaterial);
-            
             // セグメントの位置と角度を計算
             const segmentHeight = j * leafSegmentLength;
             const heightRatio = j / segments; // 0から1の値
@@ -363,36 +995,32 @@ function createVallisneria(height, radius, plantColor) {
             const xOffset = Math.sin(curveDir) * curve * height;
             const zOffset = Math.cos(curveDir) * curve * height;
             
-            segment.position.set(
+            _partPosition.set(
                 startX + xOffset,
                 segmentHeight + leafSegmentLength/2,
                 startZ + zOffset
             );
             
-            // 葉先に向かって細くなる
-            segment.scale.x = 1.0 - (heightRatio * 0.5);
+            // 葉先に向かって細くなる（長さは少し重ねる）
+            _partScale.set(leafWidth * (1.0 - (heightRatio * 0.5)), leafSegmentLength * 1.05, 1);
             
-            // 前のセグメントに合わせて回転
+            // 前のセグメントに合わせて回転（セグメント間の接続が滑らかになるよう）
+            _partQuaternion.identity();
             if (j > 0) {
-                const prevPos = leafGroup.children[j-1].position;
-                const dir = new THREE.Vector3().subVectors(segment.position, prevPos).normalize();
-                const up = new THREE.Vector3(0, 1, 0);
-                
-                // セグメント間の接続が滑らかになるよう回転
-                segment.quaternion.setFromUnitVectors(up, dir);
+                const dir = new THREE.Vector3().subVectors(_partPosition, previousPosition).normalize();
+                _partQuaternion.setFromUnitVectors(_partUp, dir);
             }
             
-            leafGroup.add(segment);
+            addPlantPart(plant, 'ribbon', _partPosition, _partQuaternion, _partScale);
+            previousPosition.copy(_partPosition);
         }
-        
-        plant.add(leafGroup);
     }
     
     return plant;
 }
 
 // 溶岩石を生成する関数
-function createLavaRock(size) {
+function createLavaRock(size, random) {
     const rock = new THREE.Group();
     
     // より自然な岩の形状
@@ -411,9 +1039,9 @@ function createLavaRock(size) {
         const height = Math.sqrt(x * x + z * z) / size; // 中心からの距離
         const heightFactor = 1.0 - height * 0.5; // 中心ほど変形を強く
         
-        const randomX = x * (1 + (Math.random() - 0.5) * distortion * heightFactor);
-        const randomY = y * (1 + (Math.random() - 0.3) * distortion * heightFactor); // 上方向に少し伸ばす
-        const randomZ = z * (1 + (Math.random() - 0.5) * distortion * heightFactor);
+        const randomX = x * (1 + (random() - 0.5) * distortion * heightFactor);
+        const randomY = y * (1 + (random() - 0.3) * distortion * heightFactor); // 上方向に少し伸ばす
+        const randomZ = z * (1 + (random() - 0.5) * distortion * heightFactor);
         
         positionAttribute.setXYZ(i, randomX, randomY, randomZ);
     }
@@ -434,16 +1062,16 @@ function createLavaRock(size) {
     rock.add(baseMesh);
     
     // 少数の特徴的な突起だけを追加（多すぎない）
-    const bumpCount = Math.floor(3 + Math.random() * 3); // より少なく
+    const bumpCount = Math.floor(3 + random() * 3); // より少なく
     
     for (let i = 0; i < bumpCount; i++) {
         // より大きく、特徴的な突起
-        const bumpSize = size * (0.2 + Math.random() * 0.25);
+        const bumpSize = size * (0.2 + random() * 0.25);
         const bumpGeometry = new THREE.DodecahedronGeometry(bumpSize, 1);
         
         // 底面に近い部分（Y座標がマイナス側）に突起を集中
-        const angle1 = Math.random() * Math.PI * 2;
-        const angle2 = Math.random() * Math.PI * 0.3 + Math.PI * 0.5; // 下半分にのみ配置
+        const angle1 = random() * Math.PI * 2;
+        const angle2 = random() * Math.PI * 0.3 + Math.PI * 0.5; // 下半分にのみ配置
         const radius = size * 0.85;
         
         const x = Math.sin(angle2) * Math.cos(angle1) * radius;
@@ -459,9 +1087,9 @@ function createLavaRock(size) {
             
             const bumpDistortion = 0.1;
             bumpPositionAttr.setXYZ(j,
-                bx * (1 + (Math.random() - 0.5) * bumpDistortion),
-                by * (1 + (Math.random() - 0.3) * bumpDistortion),
-                bz * (1 + (Math.random() - 0.5) * bumpDistortion)
+                bx * (1 + (random() - 0.5) * bumpDistortion),
+                by * (1 + (random() - 0.3) * bumpDistortion),
+                bz * (1 + (random() - 0.5) * bumpDistortion)
             );
         }
         bumpGeometry.computeVertexNormals();
@@ -471,9 +1099,9 @@ function createLavaRock(size) {
         
         // 回転をランダムに設定
         bump.rotation.set(
-            Math.random() * Math.PI,
-            Math.random() * Math.PI,
-            Math.random() * Math.PI
+            random() * Math.PI,
+            random() * Math.PI,
+            random() * Math.PI
         );
         
         rock.add(bump);
@@ -482,14 +1110,46 @@ function createLavaRock(size) {
     return rock;
 }
 
+// 配置情報から水草を1つ作成してシーンに追加する関数
+// spec: { type, position, rotation, scale, height, radius, variety, size, color, seed, owner } （レイアウトの保存・読み込みに使う）
+// owner は作り直しで一緒に消える持ち主（岩に付けたモスは 'rocks'、編集モードで置いたものは 'hardscape'、省略時は 'plants'）
+function addPlant(spec, plantColor) {
+    const color = spec.color ? new THREE.Color(spec.color) : plantColor;
+    
+    // 形状の細部は水草ごとのシードから再現する
+    const random = createRandom(spec.seed);
+    
+    let plant;
+    if (spec.type === 'hygrophila') {
+        plant = createHygrophila(spec.height, spec.radius, 5, color, spec.variety, random);
+    } else if (spec.type === 'vallisneria') {
+        plant = createVallisneria(spec.height, spec.radius, color, random);
+    } else {
+        plant = createWillowMoss(spec.size, color, random);
+    }
+    
+    plant.position.fromArray(spec.position);
+    applySpecTransform(plant, spec);
+    plant.userData.layout = spec;
+    plant.userData.bounds = computePlantBounds(plant);
+    
+    // 描画はバッチで行うので、グループは位置の基準としてだけシーンに置く
+    addToScene(plant, spec.owner || 'plants');
+    plants.push(plant);
+    plantBatchesDirty = true;
+    return plant;
+}
+
 // 水草（全種類）を作成する関数
-function createPlants(aquariumSize, plantColor) {
-    // 既存の水草を削除
-    plants.forEach(plant => scene.remove(plant));
-    plants = [];
+function createPlants(plantColor) {
+    // 既存の水草を削除（岩に付けたモスは岩と一緒に作り直すので残す）
+    disposeOwner('plants');
+    plants = plants.filter(plant => plant.userData.owner !== 'plants');
+    plantBatchesDirty = true;
     
-    // 色が指定されていない場合は鮮やかな紫をデフォルトに
-    const color = plantColor || new THREE.Color(0x9900ff);
+    // 色が指定されていない場合はGUIで選んだ色（デフォルトは鮮やかな紫）
+    const color = plantColor || new THREE.Color(params.plantColor);
+    const random = createRandom(deriveSeed('plants'));
     
     // 密度係数を元に水草の数を計算
     // 密度2.0なら標準の2倍の水草が生成される
@@ -500,246 +1160,3552 @@ function createPlants(aquariumSize, plantColor) {
     // ハイグロフィアの配置
     const hygrophilaCount = Math.floor(baseHygrophilaCount * params.plantDensity);
     for (let i = 0; i < hygrophilaCount; i++) {
-        const x = (Math.random() - 0.5) * (aquariumSize - 2);
-        const z = (Math.random() - 0.5) * (aquariumSize - 2);
+        const { x, z } = randomFloorPosition(1, random);
         
-        const height = 2.0 + Math.random() * 1.5;
-        const radius = 0.2 + Math.random() * 0.3;
+        const height = 2.0 + random() * 1.5;
+        const radius = 0.2 + random() * 0.3;
         
         // 設定された種類の数までの範囲でランダム選択
-        const variety = Math.floor(Math.random() * Math.min(5, params.plantVariety));
-        
-        const plant = createHygrophila(height, radius, 5, color, variety);
-        plant.position.set(x, 0.1, z);
+        const variety = Math.floor(random() * Math.min(5, params.plantVariety));
         
-        scene.add(plant);
-        plants.push(plant);
+        addPlant({ type: 'hygrophila', position: [x, getSandHeight(x, z), z], height, radius, variety, seed: randomSeed(random) }, color);
     }
     
     // バリスネリア（params.plantVarietyが2以上の場合のみ）
     if (params.plantVariety >= 2) {
         const vallisneriaCount = Math.floor(baseVallisneriaCount * params.plantDensity);
         for (let i = 0; i < vallisneriaCount; i++) {
-            const x = (Math.random() - 0.5) * (aquariumSize - 2);
-            const z = (Math.random() - 0.5) * (aquariumSize - 2);
+            const { x, z } = randomFloorPosition(1, random);
             
-            const height = 3.5 + Math.random() * 2.0; // より長い水草
-            const radius = 0.1 + Math.random() * 0.2;
+            const height = 3.5 + random() * 2.0; // より長い水草
+            const radius = 0.1 + random() * 0.2;
             
-            const plant = createVallisneria(height, radius, color);
-            plant.position.set(x, 0.1, z);
-            
-            scene.add(plant);
-            plants.push(plant);
+            addPlant({ type: 'vallisneria', position: [x, getSandHeight(x, z), z], height, radius, seed: randomSeed(random) }, color);
         }
     }
     
     // ウィローモスの配置
     const willowMossCount = Math.floor(baseWillowMossCount * params.plantDensity);
     for (let i = 0; i < willowMossCount; i++) {
-        const x = (Math.random() - 0.5) * (aquariumSize - 3);
-        const z = (Math.random() - 0.5) * (aquariumSize - 3);
-        
-        const size = 0.4 + Math.random() * 0.3;
+        const { x, z } = randomFloorPosition(1.5, random);
         
-        const moss = createWillowMoss(size, color);
-        moss.position.set(x, 0.05, z);
+        const size = 0.4 + random() * 0.3;
         
-        scene.add(moss);
-        plants.push(moss);
+        addPlant({ type: 'willowMoss', position: [x, getSandHeight(x, z), z], size, seed: randomSeed(random) }, color);
     }
+    
+    updateObstacles();
+}
+
+// 岩の中心を砂地からどれだけ上に置くか（大きさに対する比、残りは砂に埋まる）
+const ROCK_BURY_DEPTH = 0.35;
+
+// 配置情報から岩を1つ作成してシーンに追加する関数
+// spec: { size, position, rotationY, rotation, scale, seed, owner }
+function addRock(spec) {
+    const rock = createLavaRock(spec.size, createRandom(spec.seed));
+    rock.rotation.y = spec.rotationY || 0;
+    rock.position.fromArray(spec.position);
+    applySpecTransform(rock, spec);
+    rock.userData.layout = spec;
+    rock.traverse(child => {
+        child.castShadow = true;
+        child.receiveShadow = true;
+    });
+    
+    applyCaustics(rock);
+    addToScene(rock, spec.owner || 'rocks');
+    rocks.push(rock);
+    return rock;
 }
 
 // 岩を生成する関数
-function createRocks(aquariumSize) {
-    // 既存の岩を削除
-    rocks.forEach(rock => scene.remove(rock));
-    rocks = [];
+function createRocks() {
+    // 既存の岩と、岩に付けたモスを削除（編集モードで置いた岩は残す）
+    disposeOwner('rocks');
+    rocks = rocks.filter(rock => rock.userData.owner !== 'rocks');
+    plants = plants.filter(plant => plant.userData.owner !== 'rocks');
+    plantBatchesDirty = true;
+    
+    const random = createRandom(deriveSeed('rocks'));
     
     // 大きな溶岩石を配置
-    const largeRockCount = 2 + Math.floor(Math.random() * 2);
+    const largeRockCount = 2 + Math.floor(random() * 2);
+    const largeRocks = [];
     for (let i = 0; i < largeRockCount; i++) {
-        const x = (Math.random() - 0.5) * (aquariumSize - 4);
-        const z = (Math.random() - 0.5) * (aquariumSize - 4);
+        const { x, z } = randomFloorPosition(2, random);
         
-        const size = 0.8 + Math.random() * 0.6;
-        const rock = createLavaRock(size);
+        const size = 0.8 + random() * 0.6;
         
         // ランダムな回転
-        rock.rotation.y = Math.random() * Math.PI * 2;
-        rock.position.set(x, size * 0.5, z);
-        
-        scene.add(rock);
-        rocks.push(rock);
+        largeRocks.push(addRock({ size, position: [x, getSandHeight(x, z) + size * ROCK_BURY_DEPTH, z], rotationY: random() * Math.PI * 2, seed: randomSeed(random) }));
     }
     
     // 小さな石を配置
-    const smallRockCount = 4 + Math.floor(Math.random() * 4);
+    const smallRockCount = 4 + Math.floor(random() * 4);
     for (let i = 0; i < smallRockCount; i++) {
-        const x = (Math.random() - 0.5) * (aquariumSize - 2);
-        const z = (Math.random() - 0.5) * (aquariumSize - 2);
+        const { x, z } = randomFloorPosition(1, random);
         
-        const size = 0.2 + Math.random() * 0.3;
-        const rock = createLavaRock(size);
+        const size = 0.2 + random() * 0.3;
         
         // ランダムな回転
-        rock.rotation.y = Math.random() * Math.PI * 2;
-        rock.position.set(x, size * 0.5, z);
-        
-        scene.add(rock);
-        rocks.push(rock);
+        addRock({ size, position: [x, getSandHeight(x, z) + size * ROCK_BURY_DEPTH, z], rotationY: random() * Math.PI * 2, seed: randomSeed(random) });
     }
     
     // いくつかの石にウィローモスを配置
-    const mossColor = new THREE.Color(0x9900ff); // 鮮やかな紫
+    const mossColor = '#9900ff'; // 鮮やかな紫
     for (let i = 0; i < largeRockCount; i++) {
-        if (Math.random() > 0.5) {
-            const rock = rocks[i];
+        if (random() > 0.5) {
+            const rock = largeRocks[i];
             const position = rock.position.clone();
+            position.y += 0.5;
             
-            const moss = createWillowMoss(0.3 + Math.random() * 0.2, mossColor);
-            moss.position.copy(position);
-            moss.position.y += 0.5;
-            
-            scene.add(moss);
-            plants.push(moss);
+            const moss = addPlant({
+                type: 'willowMoss',
+                position: position.toArray(),
+                size: 0.3 + random() * 0.2,
+                color: mossColor,
+                seed: randomSeed(random),
+                owner: 'rocks'
+            });
+            moss.userData.rock = rock;
         }
     }
+    
+    updateObstacles();
 }
 
-function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+// 魚が避ける障害物のバウンディングボックスを更新する関数
+function updateObstacles() {
+    obstacles = [...rocks, ...plants].map(object => {
+        object.updateMatrixWorld(true);
+        if (object.userData.bounds) {
+            return object.userData.bounds.clone().applyMatrix4(object.matrixWorld);
+        }
+        return new THREE.Box3().setFromObject(object);
+    });
 }
 
-function animate() {
-    requestAnimationFrame(animate);
+// 光柱（ゴッドレイ）のシェーダー
+// 水面側ほど明るく砂地に向かって消え、輪郭は視線に対して柔らかくぼかす
+const lightShaftVertexShader = `
+    varying vec2 vUv;
+    varying vec3 vNormal;
+    varying vec3 vViewPosition;
 
-    const elapsedTime = clock.getElapsedTime();
-    water.material.uniforms['time'].value = elapsedTime;
-        
-    // 魚のアニメーション
-    animateFishes(elapsedTime);
+    void main() {
+        vUv = uv;
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        vViewPosition = -mvPosition.xyz;
+        vNormal = normalize(normalMatrix * normal);
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
 
-    controls.update();
-    renderer.render(scene, camera);
-}
+const lightShaftFragmentShader = `
+    uniform vec3 color;
+    uniform float opacity;
+    uniform float intensity;
+    uniform float time;
 
-// 魚のアニメーション
-function animateFishes(time) {
-    // 水槽の制限範囲
-    const tankLimit = 9.0;
-    const tankHeight = 7.0;
+    varying vec2 vUv;
+    varying vec3 vNormal;
+    varying vec3 vViewPosition;
+
+    void main() {
+        float fade = pow(vUv.y, 1.5);
+        float rim = abs(dot(normalize(vNormal), normalize(vViewPosition)));
+        float flicker = 0.85 + 0.15 * sin(time * 1.3 + vUv.x * 12.0);
+        float alpha = opacity * fade * rim * rim * flicker;
+        gl_FragColor = vec4(color * intensity, alpha);
+    }
+`;
+
+// 光柱を（再）生成する関数
+function createLightShafts() {
+    // 既存の光柱を削除（共有しているジオメトリとマテリアルも解放される）
+    disposeOwner('lightShafts');
+    lightShafts = [];
     
-    fishes.forEach(fish => {
-        const { speed, turnSpeed, targetPosition, currentTarget, timeToNewTarget, tailSpeed, originalY } = fish.userData;
-        
-        // 尾びれの動きをアニメーション
-        fish.userData.tailAngle = Math.sin(time * tailSpeed) * 0.2;
-        
-        // 尾びれを動かす
-        if (fish.children[1]) {
-            fish.children[1].rotation.y = fish.userData.tailAngle;
-        }
+    // 上端を原点に下へ伸びる単位サイズの円柱（スケールで長さと太さを決める）
+    const geometry = new THREE.CylinderGeometry(1, 1.6, 1, 24, 1, true);
+    geometry.translate(0, -0.5, 0);
+    
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            color: { value: new THREE.Color(0xffffff) },
+            opacity: { value: params.lightShaftOpacity },
+            intensity: { value: params.lightIntensity },
+            time: { value: 0 }
+        },
+        vertexShader: lightShaftVertexShader,
+        fragmentShader: lightShaftFragmentShader,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending,
+        side: THREE.DoubleSide
+    });
+    
+    const random = createRandom(deriveSeed('lightShafts'));
+    for (let i = 0; i < params.numLightShafts; i++) {
+        const { x, z } = randomFloorPosition(2, random);
+        const radius = 0.4 + random() * 0.8;
         
-        // ランダムな時間ごとに新しい目標地点を設定
-        if (time > fish.userData.timeToNewTarget) {
-            // 水槽内のランダムな位置を目標に
-            targetPosition.set(
-                (Math.random() - 0.5) * tankLimit * 2,
-                originalY + (Math.random() - 0.5) * 2,
-                (Math.random() - 0.5) * tankLimit * 2
-            );
-            
-            // 水槽の境界内に制限
-            targetPosition.x = Math.max(-tankLimit, Math.min(tankLimit, targetPosition.x));
-            targetPosition.y = Math.max(1, Math.min(tankHeight, targetPosition.y));
-            targetPosition.z = Math.max(-tankLimit, Math.min(tankLimit, targetPosition.z));
-            
-            // 次の目標変更までの時間
-            fish.userData.timeToNewTarget = time + 3 + Math.random() * 5;
-            
-            // 現在の目標位置を更新
-            currentTarget.copy(targetPosition);
-        }
+        const shaft = new THREE.Mesh(geometry, material);
+        shaft.position.set(x, water.position.y, z);
+        shaft.scale.set(radius, 1, radius);
+        shaft.renderOrder = 1; // 水のボリュームより後に描画
         
-        // 目標までの方向ベクトル
-        const direction = new THREE.Vector3().subVectors(currentTarget, fish.position);
+        // 揺れのパラメータ（光柱ごとにずらす）
+        shaft.userData = {
+            phase: random() * Math.PI * 2,
+            swaySpeed: 0.2 + random() * 0.3,
+            swayAmount: 0.03 + random() * 0.04,
+            spread: new THREE.Vector3((random() - 0.5) * 0.15, 0, (random() - 0.5) * 0.15)
+        };
         
-        // 距離がある場合、魚を回転させて目標の方向を向かせる
-        if (direction.length() > 0.2) {
-            // 現在の方向ベクトル（魚の前方）
-            const forward = new THREE.Vector3(1, 0, 0).applyQuaternion(fish.quaternion);
-            
-            // 目標方向への回転を計算
-            const targetQuaternion = new THREE.Quaternion().setFromUnitVectors(
-                new THREE.Vector3(1, 0, 0),
-                direction.clone().normalize()
-            );
-            
-            // 滑らかに回転
-            fish.quaternion.slerp(targetQuaternion, turnSpeed);
-            
-            // 魚を前進させる
-            const velocity = forward.clone().multiplyScalar(speed * 0.05);
-            fish.position.add(velocity);
-        }
-    });
+        addToScene(shaft, 'lightShafts');
+        lightShafts.push(shaft);
+    }
 }
 
-// 魚を作成する関数を追加
-function createFishes(aquariumSize, aquariumHeight) {
-    const fishColors = [
-        { body: 0xff5a00, fin: 0xff8c40 },  // オレンジ＆イエロー（ゴールデンファイヤー）
-        { body: 0x3a86ff, fin: 0x00f5d4 },  // 青＆水色（ブルーネオン）
-        { body: 0xff006e, fin: 0x8338ec },  // ピンク＆紫（レッドフレーム）
-        { body: 0xffbe0b, fin: 0xfb5607 },  // 黄色＆オレンジ（サンバースト）
-        { body: 0x00bbf9, fin: 0xfee440 },  // 水色＆黄色（トロピカルダスク）
-        { body: 0x9b5de5, fin: 0xf15bb5 },  // 紫＆ピンク（ミスティックグロー）
-    ];
+// 光柱のアニメーションで使い回す一時オブジェクト
+const _shaftDirection = new THREE.Vector3();
+const _shaftDown = new THREE.Vector3(0, -1, 0);
+
+// 光柱を太陽の方向に向けて揺らす関数
+function animateLightShafts(time) {
+    if (lightShafts.length === 0) return;
     
-    // 初期の魚を削除
-    fishes.forEach(fish => scene.remove(fish));
-    fishes = [];
+    const { uniforms } = lightShafts[0].material;
+    uniforms.time.value = time;
+    uniforms.opacity.value = params.lightShaftOpacity;
+    uniforms.intensity.value = params.lightIntensity / 1.5 * dayState.brightness;
+    uniforms.color.value.copy(water.material.uniforms.sunColor.value);
     
-    // 新しい魚を追加
-    for (let i = 0; i < params.fishCount; i++) {
-        const colorIndex = Math.floor(Math.random() * fishColors.length);
-        const { body, fin } = fishColors[colorIndex];
-        
-        const size = 0.6 + Math.random() * 0.4;
-        
-        // 水槽内のランダムな位置
-        const x = (Math.random() - 0.5) * (aquariumSize - 2);
-        const y = 1 + Math.random() * (aquariumHeight - 2);
-        const z = (Math.random() - 0.5) * (aquariumSize - 2);
+    const depth = water.position.y - sand.position.y;
+    
+    lightShafts.forEach(shaft => {
+        const { phase, swaySpeed, swayAmount, spread } = shaft.userData;
         
-        const position = new THREE.Vector3(x, y, z);
-        const fish = createFish(size, body, fin, position);
+        // 光は太陽から水槽に向かって差し込む
+        _shaftDirection.copy(sun).normalize().negate().add(spread);
+        _shaftDirection.x += Math.sin(time * swaySpeed + phase) * swayAmount;
+        _shaftDirection.z += Math.cos(time * swaySpeed * 0.7 + phase) * swayAmount;
+        _shaftDirection.normalize();
         
-        // 魚の向きをランダムに
-        fish.rotation.y = Math.random() * Math.PI * 2;
+        shaft.quaternion.setFromUnitVectors(_shaftDown, _shaftDirection);
         
-        scene.add(fish);
-        fishes.push(fish);
-    }
+        // 傾いても砂地まで届く長さにする
+        shaft.scale.y = depth / Math.max(0.2, -_shaftDirection.y);
+    });
 }
 
-// init関数の追加
-function init() {
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x111122); // 暗い背景でコントラストを強調
-    clock = new THREE.Clock();
+// マテリアルにシェーダーフックを追加する関数
+// 複数の機能が同じマテリアルを拡張できるよう、フックをキーごとに保持して順に適用する
+function addShaderHook(material, key, hook) {
+    const hooks = material.userData.shaderHooks || (material.userData.shaderHooks = {});
+    if (hooks[key]) return;
+    
+    hooks[key] = hook;
+    material.onBeforeCompile = (shader, renderer) => {
+        Object.values(hooks).forEach(h => h(shader, renderer));
+    };
+    material.customProgramCacheKey = () => Object.keys(hooks).join(',');
+    material.needsUpdate = true;
+}
 
-    // カメラ
+// コースティクスの計算（水面の入射点に投影したテクスチャを2層ずらして重ねる）
+const causticsShaderChunk = `
+    uniform sampler2D causticMap;
+    uniform float causticTime;
+    uniform float causticScale;
+    uniform float causticSpeed;
+    uniform float causticIntensity;
+    uniform float causticWaterLevel;
+    uniform vec3 causticLightDirection;
+    varying vec3 vCausticWorldPosition;
+
+    float getCaustics(vec3 worldPosition) {
+        float depth = causticWaterLevel - worldPosition.y;
+        if (depth < 0.0) return 0.0;
+
+        // 光の方向に沿って水面まで遡った位置で模様を決める
+        vec2 surface = worldPosition.xz - causticLightDirection.xz * depth / max(-causticLightDirection.y, 0.2);
+        vec2 uv = surface * causticScale;
+        float t = causticTime * causticSpeed;
+
+        vec2 d1 = texture2D(causticMap, uv + vec2(0.031, 0.017) * t).rg * 2.0 - 1.0;
+        vec2 d2 = texture2D(causticMap, uv * 1.37 + d1 * 0.08 - vec2(0.023, -0.029) * t).rg * 2.0 - 1.0;
+        float web = 1.0 - clamp(abs(d1.x + d2.y) + abs(d1.y - d2.x) * 0.5, 0.0, 1.0);
+
+        // 深いほど焦点がぼやけて弱くなる
+        return pow(web, 4.0) * exp(-depth * 0.04);
+    }
+`;
+
+// 水中の面にコースティクスを投影するシェーダーフック
+function causticsHook(shader) {
+    Object.assign(shader.uniforms, causticUniforms);
+    
+    shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>
+            varying vec3 vCausticWorldPosition;`)
+        .replace('#include <project_vertex>', `#include <project_vertex>
+            vec4 causticPosition = vec4(transformed, 1.0);
+            #ifdef USE_INSTANCING
+                causticPosition = instanceMatrix * causticPosition;
+            #endif
+            vCausticWorldPosition = (modelMatrix * causticPosition).xyz;`);
+    
+    // 法線を持つマテリアルでは上向きの面ほど強く照らす
+    const hasNormal = shader.fragmentShader.includes('#include <normal_fragment_begin>');
+    shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', `#include <common>
+            ${causticsShaderChunk}`)
+        .replace('#include <opaque_fragment>', `
+            float causticLight = getCaustics(vCausticWorldPosition) * causticIntensity;
+            ${hasNormal ? 'causticLight *= clamp(inverseTransformDirection(normal, viewMatrix).y * 0.5 + 0.5, 0.0, 1.0);' : ''}
+            outgoingLight += diffuseColor.rgb * causticLight;
+            #include <opaque_fragment>`);
+}
+
+// オブジェクト以下の全てのマテリアルにコースティクスを適用する関数
+function applyCaustics(object) {
+    object.traverse(child => {
+        if (child.material) {
+            addShaderHook(child.material, 'caustics', causticsHook);
+        }
+    });
+}
+
+// コースティクスのユニフォームを水面の高さと太陽の方向に合わせる関数
+function animateCaustics() {
+    causticUniforms.causticWaterLevel.value = water.position.y;
+    causticUniforms.causticLightDirection.value.copy(sun).normalize().negate();
+    causticUniforms.causticIntensity.value = params.causticIntensity * params.lightIntensity / 1.5 * dayState.brightness;
+}
+
+// 水流の計算（一定方向の流れ＋時間と場所で変わる渦）
+// JS側の getCurrentAt と同じ式にして、水草と魚が同じ流れに乗るようにする
+const currentShaderChunk = `
+    uniform float currentTime;
+    uniform vec2 currentDirection;
+    uniform float currentStrength;
+    uniform float currentTurbulence;
+    uniform float currentFloor;
+    uniform sampler2D currentFloorMap;
+    uniform vec2 currentFloorGrid;
+    uniform vec2 currentFloorSize;
+
+    // 底床の高さ（JS側の getSandHeight と同じグリッドを線形補間する）
+    float getFloorHeight(vec3 p) {
+        vec2 grid = clamp((p.xz / currentFloorSize + 0.5) * (currentFloorGrid - 1.0), vec2(0.0), currentFloorGrid - 1.0);
+        return currentFloor + texture2D(currentFloorMap, (grid + 0.5) / currentFloorGrid).r;
+    }
+
+    vec2 getCurrent(vec3 p) {
+        float gust = 0.75 + 0.25 * sin(currentTime * 0.9 + p.x * 0.15 + p.z * 0.1);
+        vec2 eddy = vec2(
+            sin(currentTime * 0.7 + p.x * 0.4 + p.z * 0.2),
+            cos(currentTime * 0.6 + p.z * 0.4 - p.x * 0.3)
+        );
+        return currentDirection * currentStrength * gust + eddy * currentTurbulence;
+    }
+
+    // 茎や葉: 砂地からの高さの2乗で曲がり、曲がった分だけ先端が下がる
+    vec3 getPlantSway(vec3 worldPosition) {
+        float height = max(worldPosition.y - getFloorHeight(worldPosition), 0.0);
+        vec2 bend = getCurrent(worldPosition) * height * height * 0.04;
+        return vec3(bend.x, -dot(bend, bend) / max(height, 0.5) * 0.5, bend.y);
+    }
+
+    // モス: 根元が固定されないので、流れに少し寄りつつ細かく震える
+    vec3 getMossSway(vec3 worldPosition) {
+        vec2 drift = getCurrent(worldPosition) * 0.03;
+        float flutter = sin(currentTime * 3.0 + worldPosition.x * 20.0 + worldPosition.z * 13.0);
+        return vec3(drift.x, flutter * 0.01, drift.y) * (1.0 + currentTurbulence);
+    }
+`;
+
+// 水流で水草を揺らすシェーダーフック（mode: 'stem' または 'moss'）
+// 階層やインスタンスに関係なく使えるよう、ワールド座標で求めた揺れを視点座標に足す
+function createCurrentHook(mode) {
+    const swayFunction = mode === 'moss' ? 'getMossSway' : 'getPlantSway';
+    return shader => {
+        Object.assign(shader.uniforms, currentUniforms);
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>
+                ${currentShaderChunk}`)
+            .replace('#include <project_vertex>', `#include <project_vertex>
+                vec4 swayPosition = vec4(transformed, 1.0);
+                #ifdef USE_INSTANCING
+                    swayPosition = instanceMatrix * swayPosition;
+                #endif
+                vec3 sway = ${swayFunction}((modelMatrix * swayPosition).xyz);
+                mvPosition.xyz += (viewMatrix * vec4(sway, 0.0)).xyz;
+                gl_Position = projectionMatrix * mvPosition;`);
+    };
+}
+
+const currentHooks = {
+    stem: createCurrentHook('stem'),
+    moss: createCurrentHook('moss')
+};
+
+// オブジェクト以下の全てのマテリアルに水流の揺れを適用する関数
+function applyCurrent(object, mode) {
+    object.traverse(child => {
+        if (child.material) {
+            addShaderHook(child.material, `current-${mode}`, currentHooks[mode]);
+        }
+    });
+}
+
+// シェーダーと同じ式で、ある位置の水流（XZ平面の速度）を求める関数
+function getCurrentAt(position, time, target) {
+    const { currentDirection, currentStrength, currentTurbulence } = currentUniforms;
+    const gust = 0.75 + 0.25 * Math.sin(time * 0.9 + position.x * 0.15 + position.z * 0.1);
+    return target.set(
+        currentDirection.value.x * currentStrength.value * gust + Math.sin(time * 0.7 + position.x * 0.4 + position.z * 0.2) * currentTurbulence.value,
+        0,
+        currentDirection.value.y * currentStrength.value * gust + Math.cos(time * 0.6 + position.z * 0.4 - position.x * 0.3) * currentTurbulence.value
+    );
+}
+
+// GUIの水流の設定をユニフォームに反映する関数
+function updateCurrent() {
+    const angle = THREE.MathUtils.degToRad(params.currentDirection);
+    currentUniforms.currentDirection.value.set(Math.cos(angle), Math.sin(angle));
+    currentUniforms.currentStrength.value = params.currentStrength;
+    currentUniforms.currentTurbulence.value = params.currentTurbulence;
+    currentUniforms.currentFloor.value = sand.position.y;
+}
+
+// 水槽の寸法に合わせて水のボリューム・砂地・水面のジオメトリを作り直す関数
+function updateTankGeometry() {
+    const { tankWidth, tankDepth, tankHeight } = params;
+    
+    waterVolume.geometry.dispose();
+    waterVolume.geometry = new THREE.BoxGeometry(tankWidth, tankHeight, tankDepth);
+    waterVolume.position.y = tankHeight / 2;
+    
+    // 寸法が変わると底床の形と素材は初期状態に戻る
+    const sandSegments = 80;
+    const sandHeight = 0.3;
+    generateSubstrate(tankWidth - 0.5, tankDepth - 0.5, sandSegments, sandHeight, createRandom(deriveSeed('sand')));
+    buildSandGeometry();
+    
+    water.geometry.dispose();
+    water.geometry = new THREE.PlaneGeometry(tankWidth - 0.5, tankDepth - 0.5, 32, 32);
+    water.position.y = tankHeight - 0.1;
+    
+    updateEnclosureGeometry();
+}
+
+// 水槽のガラス・枠・キャビネットと部屋（ジオメトリは updateEnclosureGeometry で水槽の寸法から作る）
+const GLASS_THICKNESS = 0.25;      // ガラス板の厚さ
+const GLASS_FREEBOARD = 1.2;       // 水面より上に出ているガラスの高さ
+const FRAME_HEIGHT = 0.45;         // 上下の枠の高さ
+const FRAME_OVERHANG = 0.1;        // 枠がガラスからはみ出す幅
+const CABINET_HEIGHT = 12;         // 水槽台の高さ
+const UNDERWATER_FOG_DENSITY = 0.05;
+const ROOM_FOG_DENSITY = 0.004;
+const ROOM_COLOR = new THREE.Color(0x1c2028);
+
+const enclosureMaterials = {};
+
+// ガラスの縁の色（斜めから見るほど濃く見える）
+const glassUniforms = {
+    glassEdgeColor: { value: new THREE.Color(params.glassTint) }
+};
+
+// 視線がガラスに対して浅いほど縁の色を強くするシェーダーフック
+function glassEdgeHook(shader) {
+    Object.assign(shader.uniforms, glassUniforms);
+    shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', `#include <common>
+            uniform vec3 glassEdgeColor;`)
+        .replace('#include <opaque_fragment>', `#include <opaque_fragment>
+            float glassGrazing = pow(1.0 - abs(dot(normal, normalize(vViewPosition))), 3.0);
+            gl_FragColor.rgb = mix(gl_FragColor.rgb, glassEdgeColor, glassGrazing * 0.6);
+            gl_FragColor.a = max(gl_FragColor.a, glassGrazing * 0.8);`);
+}
+
+// 水槽まわりのマテリアルとオブジェクトを作る関数（init で一度だけ呼ぶ）
+function createEnclosure() {
+    // ガラスに映り込む部屋の環境マップ（外部のファイルを使わず RoomEnvironment から作る）
+    const pmremGenerator = new THREE.PMREMGenerator(renderer);
+    const environmentMap = pmremGenerator.fromScene(new RoomEnvironment(), 0.04).texture;
+    pmremGenerator.dispose();
+    
+    enclosureMaterials.glass = new THREE.MeshPhysicalMaterial({
+        color: 0xf4fffb,
+        metalness: 0.0,
+        roughness: 0.03,
+        ior: 1.5,
+        thickness: GLASS_THICKNESS,
+        transparent: true,
+        envMap: environmentMap
+    });
+    addShaderHook(enclosureMaterials.glass, 'glassEdge', glassEdgeHook);
+    
+    // ガラスの切り口（板の中を光が通るので濃い色に見える）
+    enclosureMaterials.edge = new THREE.MeshStandardMaterial({
+        color: new THREE.Color(params.glassTint),
+        roughness: 0.1,
+        transparent: true,
+        opacity: 0.85,
+        envMap: environmentMap
+    });
+    enclosureMaterials.frame = new THREE.MeshStandardMaterial({ color: 0x111111, roughness: 0.5, envMap: environmentMap, envMapIntensity: 0.3 });
+    enclosureMaterials.cabinet = new THREE.MeshStandardMaterial({ color: 0x3a2a1e, roughness: 0.7 });
+    enclosureMaterials.wall = new THREE.MeshStandardMaterial({ color: new THREE.Color(params.wallColor), roughness: 0.95 });
+    enclosureMaterials.floor = new THREE.MeshStandardMaterial({ color: 0x2a2622, roughness: 0.9 });
+    
+    enclosure = new THREE.Group();
+    enclosure.userData.glass = new THREE.Group();
+    enclosure.userData.cabinet = new THREE.Group();
+    enclosure.userData.room = new THREE.Group();
+    enclosure.add(enclosure.userData.glass, enclosure.userData.cabinet, enclosure.userData.room);
+    scene.add(enclosure);
+    
+    // 水中ではシーン全体に濃い霧をかけ、外では部屋の薄い霧にする（同じ種類の霧なのでシェーダーは変わらない）
+    underwaterFog = new THREE.FogExp2(DAY_FOG_COLOR.getHex(), UNDERWATER_FOG_DENSITY);
+    roomFog = new THREE.FogExp2(ROOM_COLOR.getHex(), ROOM_FOG_DENSITY);
+    scene.fog = roomFog;
+    scene.background = roomFog.color;
+    
+    // 水中にいる時に画面全体に重ねる水の色
+    underwaterTint = new THREE.Mesh(
+        new THREE.PlaneGeometry(2, 2),
+        new THREE.ShaderMaterial({
+            uniforms: {
+                color: { value: waterVolume.material.color },
+                opacity: { value: 0.18 }
+            },
+            vertexShader: 'void main() { gl_Position = vec4(position.xy, 0.0, 1.0); }',
+            fragmentShader: `
+                uniform vec3 color;
+                uniform float opacity;
+                void main() { gl_FragColor = vec4(color, opacity); }
+            `,
+            transparent: true,
+            depthTest: false,
+            depthWrite: false
+        })
+    );
+    underwaterTint.frustumCulled = false;
+    underwaterTint.renderOrder = 1000;
+    underwaterTint.visible = false;
+    scene.add(underwaterTint);
+}
+
+// 箱を作ってグループに追加する関数
+function addEnclosureBox(group, size, position, material) {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(...size), material);
+    mesh.position.fromArray(position);
+    mesh.receiveShadow = true;
+    group.add(mesh);
+    return mesh;
+}
+
+// ガラス板を追加する関数（厚みの方向 thinAxis の面はガラス、それ以外の面は切り口にする）
+// BoxGeometry の面の順番は +x, -x, +y, -y, +z, -z
+function addGlassPane(size, position, thinAxis) {
+    const { glass, edge } = enclosureMaterials;
+    const materials = ['x', 'x', 'y', 'y', 'z', 'z'].map(axis => axis === thinAxis ? glass : edge);
+    addEnclosureBox(enclosure.userData.glass, size, position, materials);
+}
+
+// 高さ y を中心に、ガラスの周りを一周する枠を追加する関数
+function addFrameRing(y) {
+    const { tankWidth, tankDepth } = params;
+    const frameDepth = GLASS_THICKNESS + FRAME_OVERHANG * 2;
+    const outerWidth = tankWidth + GLASS_THICKNESS * 2 + FRAME_OVERHANG * 2;
+    const outerDepth = tankDepth + GLASS_THICKNESS * 2 + FRAME_OVERHANG * 2;
+    const { frame } = enclosureMaterials;
+    
+    [-1, 1].forEach(side => {
+        addEnclosureBox(enclosure.userData.glass, [outerWidth, FRAME_HEIGHT, frameDepth], [0, y, side * (tankDepth + GLASS_THICKNESS) / 2], frame);
+        addEnclosureBox(enclosure.userData.glass, [frameDepth, FRAME_HEIGHT, outerDepth], [side * (tankWidth + GLASS_THICKNESS) / 2, y, 0], frame);
+    });
+}
+
+// 水槽の寸法に合わせてガラス・枠・キャビネット・部屋を作り直す関数
+function updateEnclosureGeometry() {
+    [enclosure.userData.glass, enclosure.userData.cabinet, enclosure.userData.room].forEach(group => {
+        group.children.forEach(child => child.geometry.dispose());
+        group.clear();
+    });
+    
+    const { tankWidth, tankDepth, tankHeight } = params;
+    const thickness = GLASS_THICKNESS;
+    const height = tankHeight + GLASS_FREEBOARD;
+    const outerWidth = tankWidth + thickness * 2;
+    const outerDepth = tankDepth + thickness * 2;
+    
+    // 左右の板は奥行きいっぱい、前後の板はその間に収める
+    [-1, 1].forEach(side => {
+        addGlassPane([thickness, height, outerDepth], [side * (tankWidth + thickness) / 2, height / 2, 0], 'x');
+        addGlassPane([tankWidth, height, thickness], [0, height / 2, side * (tankDepth + thickness) / 2], 'z');
+    });
+    addGlassPane([outerWidth, thickness, outerDepth], [0, -thickness / 2, 0], 'y');
+    
+    // 上の枠はガラスの縁を、下の枠は底板と砂の境目を隠す
+    addFrameRing(height - FRAME_HEIGHT / 2);
+    addFrameRing(FRAME_HEIGHT / 2 - thickness - 0.05);
+    
+    // 水槽台
+    const baseY = -thickness - 0.05;
+    addEnclosureBox(enclosure.userData.cabinet, [outerWidth + 1, CABINET_HEIGHT, outerDepth + 1], [0, baseY - CABINET_HEIGHT / 2, 0], enclosureMaterials.cabinet);
+    
+    // 床と背景の壁
+    const floorY = baseY - CABINET_HEIGHT;
+    const floor = new THREE.Mesh(new THREE.PlaneGeometry(400, 400), enclosureMaterials.floor);
+    floor.rotation.x = -Math.PI / 2;
+    floor.position.y = floorY;
+    const wall = new THREE.Mesh(new THREE.PlaneGeometry(400, 120), enclosureMaterials.wall);
+    wall.position.set(0, floorY + 60, -outerDepth / 2 - 6);
+    enclosure.userData.room.add(floor, wall);
+}
+
+// 表示の切り替えと色、ガラスと水の透過の設定を反映する関数
+function applyEnclosure() {
+    const { glass, cabinet, room } = enclosure.userData;
+    glass.visible = params.showGlass;
+    cabinet.visible = params.showCabinet;
+    room.visible = params.showRoom;
+    
+    glassUniforms.glassEdgeColor.value.set(params.glassTint);
+    enclosureMaterials.edge.color.set(params.glassTint);
+    enclosureMaterials.wall.color.set(params.wallColor);
+    
+    // 透過する物体同士は互いに映らないので、ガラスがある時はガラスで屈折させ、水は色だけを重ねる
+    const { transmission } = QUALITY_PRESETS[currentQuality];
+    setTransmission(waterVolume.material, transmission && !params.showGlass ? 0.99 : 0);
+    setTransmission(enclosureMaterials.glass, transmission ? 1 : 0);
+    enclosureMaterials.glass.opacity = transmission ? 1 : 0.2;
+}
+
+// マテリアルの透過を変える関数（透過の有無でシェーダーが変わる）
+function setTransmission(material, transmission) {
+    if (material.transmission !== transmission) {
+        material.transmission = transmission;
+        material.needsUpdate = true;
+    }
+}
+
+// カメラが水の中にいるかどうかで霧・背景・色味を切り替える関数
+// ガラスの内側で水面より下を水中とする
+function updateCameraMedium() {
+    const { x, y, z } = camera.position;
+    const underwater = Math.abs(x) < params.tankWidth / 2 && Math.abs(z) < params.tankDepth / 2 &&
+                       y > 0 && y < water.position.y;
+    
+    scene.fog = underwater ? underwaterFog : roomFog;
+    scene.background = scene.fog.color;
+    underwaterTint.visible = underwater;
+}
+
+// 外部から読み込むテクスチャ（読み込めない環境では手続き的に生成したものを使う）
+const REMOTE_TEXTURES = {
+    waterNormals: 'https://threejs.org/examples/textures/waternormals.jpg',
+    caustics: 'https://threejs.org/examples/textures/waterdudv.jpg'
+};
+
+// テクスチャを読み込み、失敗したら警告を表示して代わりのテクスチャを渡す関数
+// 読み込みは非同期なので、失敗時は onFallback で使っている場所を差し替える
+function loadTextureWithFallback(url, createFallback, onFallback) {
+    const texture = new THREE.TextureLoader().load(url, undefined, undefined, () => {
+        showWarning(`Could not load ${url}. Using a generated texture instead.`);
+        texture.dispose();
+        onFallback(createFallback());
+    });
+    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+    return texture;
+}
+
+// 継ぎ目なく繰り返せる値ノイズを返す関数（cells 個の格子を端で折り返す）
+function createTileableNoise(cells, random) {
+    const lattice = Float32Array.from({ length: cells * cells }, () => random());
+    const at = (i, j) => lattice[(j % cells) * cells + (i % cells)];
+    
+    return (u, v) => {
+        const x = u * cells;
+        const y = v * cells;
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const sx = THREE.MathUtils.smoothstep(x - x0, 0, 1);
+        const sy = THREE.MathUtils.smoothstep(y - y0, 0, 1);
+        return THREE.MathUtils.lerp(
+            THREE.MathUtils.lerp(at(x0, y0), at(x0 + 1, y0), sx),
+            THREE.MathUtils.lerp(at(x0, y0 + 1), at(x0 + 1, y0 + 1), sx),
+            sy
+        );
+    };
+}
+
+// 細かさの違うノイズを重ねたフラクタルノイズ（0〜1）を返す関数
+function createFractalNoise(random, octaves) {
+    const layers = octaves.map(cells => createTileableNoise(cells, random));
+    const total = layers.reduce((sum, layer, i) => sum + 1 / 2 ** i, 0);
+    return (u, v) => layers.reduce((sum, layer, i) => sum + layer(u, v) / 2 ** i, 0) / total;
+}
+
+// 繰り返し可能なデータテクスチャを作る関数（pixel(u, v, data, offset) で RGBA を書き込む）
+function createDataTexture(size, pixel) {
+    const data = new Uint8Array(size * size * 4);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            pixel(x / size, y / size, data, (y * size + x) * 4);
+        }
+    }
+    
+    const texture = new THREE.DataTexture(data, size, size, THREE.RGBAFormat);
+    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+    texture.magFilter = THREE.LinearFilter;
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.generateMipmaps = true;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+// 水面の法線マップを生成する関数（waternormals.jpg の代わり）
+function createWaterNormalTexture(size = 256) {
+    const height = createFractalNoise(createRandom(deriveSeed('waterNormals')), [4, 8, 16, 32, 64]);
+    const strength = size / 8;
+    const step = 1 / size;
+    const normal = new THREE.Vector3();
+    
+    return createDataTexture(size, (u, v, data, offset) => {
+        // 高さの傾きから法線を求める（端は折り返して継ぎ目をなくす）
+        const dx = height((u + step) % 1, v) - height((u + 1 - step) % 1, v);
+        const dy = height(u, (v + step) % 1) - height(u, (v + 1 - step) % 1);
+        normal.set(-dx * strength, -dy * strength, 1).normalize();
+        data[offset] = (normal.x * 0.5 + 0.5) * 255;
+        data[offset + 1] = (normal.y * 0.5 + 0.5) * 255;
+        data[offset + 2] = (normal.z * 0.5 + 0.5) * 255;
+        data[offset + 3] = 255;
+    });
+}
+
+// コースティクス用の歪みマップを生成する関数（waterdudv.jpg の代わりに赤と緑に別々のノイズを入れる）
+function createCausticTexture(size = 256) {
+    const random = createRandom(deriveSeed('caustics'));
+    const noiseR = createFractalNoise(random, [4, 8, 16, 32]);
+    const noiseG = createFractalNoise(random, [4, 8, 16, 32]);
+    const contrast = value => THREE.MathUtils.clamp((value - 0.5) * 2.5 + 0.5, 0, 1) * 255;
+    
+    return createDataTexture(size, (u, v, data, offset) => {
+        data[offset] = contrast(noiseR(u, v));
+        data[offset + 1] = contrast(noiseG(u, v));
+        data[offset + 2] = 0;
+        data[offset + 3] = 255;
+    });
+}
+
+// 読み込みや録画の失敗などを画面に表示する関数（動作は続ける）
+function showWarning(message) {
+    console.warn(message);
+    
+    let container = document.getElementById('asset-warnings');
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'asset-warnings';
+        document.body.appendChild(container);
+    }
+    
+    const warning = document.createElement('div');
+    warning.className = 'asset-warning';
+    warning.textContent = message;
+    warning.title = 'Click to dismiss';
+    warning.addEventListener('click', () => warning.remove());
+    container.appendChild(warning);
+    
+    setTimeout(() => warning.remove(), 15000);
+}
+
+// 反射の解像度ごとに作った水面（品質を切り替えるたびに作り直さず、シーンに置くものを入れ替える）
+const waters = new Map();
+
+// 水面を作成する関数
+// Water は反射用のレンダーターゲットを外から変えられないので、反射の解像度ごとに1つずつ作る
+function createWater(textureSize, geometry, normals) {
+    const surface = new Water(geometry, {
+        textureWidth: textureSize,
+        textureHeight: textureSize,
+        waterNormals: normals,
+        sunDirection: new THREE.Vector3(0, 1, 0),
+        sunColor: 0xffffff,
+        waterColor: new THREE.Color(params.waterColor),
+        distortionScale: 1.5,
+        fog: false,
+    });
+    surface.rotation.x = -Math.PI / 2;
+    
+    addShaderHook(surface.material, 'bubbleRipples', bubbleRippleHook);
+    waters.set(textureSize, surface);
+    return surface;
+}
+
+// シーンに置く水面を反射の解像度に合ったものに入れ替える関数（無ければ作る）
+function setWaterReflectionSize(textureSize) {
+    const previous = water;
+    
+    water = waters.get(textureSize) || createWater(
+        textureSize,
+        previous ? previous.geometry : new THREE.BufferGeometry(),
+        previous ? previous.material.uniforms.normalSampler.value : loadTextureWithFallback(
+            REMOTE_TEXTURES.waterNormals,
+            createWaterNormalTexture,
+            texture => {
+                water.material.uniforms.normalSampler.value = texture;
+            }
+        )
+    );
+    if (water === previous) return;
+    
+    if (previous) {
+        // 寸法・色・光の向きは今の水面から引き継ぐ
+        // 時間のユニフォームはコースティクスと水流と共有しているので、同じオブジェクトにする
+        const { uniforms } = previous.material;
+        water.geometry = previous.geometry;
+        water.position.copy(previous.position);
+        water.material.uniforms.time = uniforms.time;
+        water.material.uniforms.normalSampler.value = uniforms.normalSampler.value;
+        water.material.uniforms.waterColor.value.copy(uniforms.waterColor.value);
+        water.material.uniforms.sunColor.value.copy(uniforms.sunColor.value);
+        water.material.uniforms.sunDirection.value.copy(uniforms.sunDirection.value);
+        scene.remove(previous);
+    }
+    
+    scene.add(water);
+}
+
+// 水槽の寸法が変わった時に、寸法を参照する全てのサブシステムを作り直す関数
+function rebuildTank() {
+    updateTankGeometry();
+    createPlants();
+    createRocks();
+    createFishes();
+    createAirStones();
+    createLightShafts();
+}
+
+// 時刻による明るさ（daylight: 照明の点き具合、brightness: 月明かりを含めた明るさ）
+const dayState = {
+    daylight: 1,
+    brightness: 1,
+    lightColor: new THREE.Color(0xffffff)
+};
+
+// 昼夜のサイクルの設定
+const TWILIGHT_HOURS = 1;                         // 夜明け・夕暮れに照明が変わっていく時間
+const MOON_LEVEL = 0.12;                          // 夜の月明かりの明るさ（昼に対する比）
+const MOON_COLOR = new THREE.Color(0x5c7cff);
+const MOON_POSITION = new THREE.Vector3(0.3, 1, -0.2);
+const SUN_PATH_RADIUS = 24;                       // 太陽が東西に動く幅（高さは Sun Height）
+const SUN_PATH_OFFSET = 10;                       // 太陽の通り道の手前へのずれ（Sun Height が低いほど斜めから差す）
+const DAY_FOG_COLOR = new THREE.Color(0x004466);
+const NIGHT_FOG_COLOR = new THREE.Color(0x000a18);
+const TWILIGHT_FOG_COLOR = new THREE.Color(0x2a3040);
+const _dayColor = new THREE.Color();
+const _sunPosition = new THREE.Vector3();
+
+// 光の強度を各ライトに反映する関数
+function updateLightIntensity() {
+    const { brightness, lightColor } = dayState;
+    
+    mainLight.intensity = params.lightIntensity * brightness;
+    mainLight.color.copy(lightColor);
+    sideLight.intensity = params.lightIntensity * 0.6 * dayState.daylight;
+    reflectionProbe.intensity = params.lightIntensity * brightness;
+    reflectionProbe.color.copy(lightColor);
+    
+    // 夜でも真っ暗にはならないよう、環境光は少し残す
+    fillLight.intensity = 0.8 * (0.2 + 0.8 * brightness);
+    fillLight.color.copy(lightColor);
+    ambientLight.intensity = 1.2 * (0.15 + 0.85 * brightness);
+    ambientLight.color.copy(lightColor);
+    water.material.uniforms.sunColor.value.copy(lightColor);
+}
+
+// 色温度（ケルビン）から光の色を求める関数（1000K〜40000Kの近似式）
+function colorTemperatureToRGB(kelvin, target) {
+    const t = kelvin / 100;
+    const r = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+    const g = t <= 66 ? 99.4708025861 * Math.log(t) - 161.1195681661 : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+    const b = t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+    return target.setRGB(
+        THREE.MathUtils.clamp(r, 0, 255) / 255,
+        THREE.MathUtils.clamp(g, 0, 255) / 255,
+        THREE.MathUtils.clamp(b, 0, 255) / 255,
+        THREE.SRGBColorSpace
+    );
+}
+
+// 時刻から照明の点き具合（0: 消灯 〜 1: 点灯）を求める関数
+// 点灯時刻から TWILIGHT_HOURS かけて明るくなり、消灯時刻までに同じだけかけて暗くなる
+function getDaylight(hour) {
+    const sinceOn = ((hour - params.lightsOn) % 24 + 24) % 24;
+    if (sinceOn > params.photoperiod) return 0;
+    
+    const ramp = Math.min(TWILIGHT_HOURS, params.photoperiod / 2);
+    return THREE.MathUtils.smoothstep(sinceOn, 0, ramp) * (1 - THREE.MathUtils.smoothstep(sinceOn, params.photoperiod - ramp, params.photoperiod));
+}
+
+// 時計を進め、時刻に合わせて照明・太陽の位置・霧の色を変える関数
+function updateDayNight(delta) {
+    if (params.dayNightCycle) {
+        params.timeOfDay = (params.timeOfDay + delta * params.timeScale / 3600) % 24;
+    }
+    
+    const daylight = params.dayNightCycle ? getDaylight(params.timeOfDay) : 1;
+    const night = 1 - daylight;
+    dayState.daylight = daylight;
+    dayState.brightness = daylight + MOON_LEVEL * night;
+    
+    // 夜明け・夕暮れは暖かい色（低い色温度）、日中は白い光、夜は青い月明かり
+    colorTemperatureToRGB(THREE.MathUtils.lerp(2200, 6500, daylight), _dayColor);
+    dayState.lightColor.copy(_dayColor).lerp(MOON_COLOR, night);
+    
+    // 太陽は点灯時間の間に東から西へ動き、夜は月の方向から光が差す（低い Sun Height ほど斜めから差す）
+    const progress = THREE.MathUtils.clamp(((params.timeOfDay - params.lightsOn) % 24 + 24) % 24 / params.photoperiod, 0, 1);
+    const angle = params.dayNightCycle ? Math.PI * progress : Math.PI / 2;
+    _sunPosition.set(Math.cos(angle) * SUN_PATH_RADIUS, Math.max(Math.sin(angle), 0.35) * params.sunY, SUN_PATH_OFFSET).normalize();
+    sun.copy(MOON_POSITION).normalize().lerp(_sunPosition, daylight).setLength(params.sunY);
+    mainLight.position.copy(sun).setLength(25);
+    updateShadowCamera();
+    water.material.uniforms.sunDirection.value.copy(sun).normalize();
+    
+    updateLightIntensity();
+    
+    // 水中の霧の色（夕暮れ・夜明けは少し紫がかった色を混ぜる）
+    const twilight = 4 * daylight * night;
+    underwaterFog.color.copy(NIGHT_FOG_COLOR).lerp(DAY_FOG_COLOR, daylight).lerp(TWILIGHT_FOG_COLOR, twilight * 0.5);
+    
+    // 部屋は水槽の照明ほどは暗くならない
+    roomFog.color.copy(ROOM_COLOR).multiplyScalar(0.5 + 0.5 * dayState.brightness);
+}
+
+// レイアウトの保存形式のバージョンと自動保存先
+const LAYOUT_VERSION = 1;
+const LAYOUT_STORAGE_KEY = 'digitalAquarium.layout';
+
+// 保存サイズを抑えるため、配置情報の数値を小数点以下3桁に丸める関数
+function roundLayoutSpec(spec) {
+    const round = value => Math.round(value * 1000) / 1000;
+    const rounded = {};
+    Object.entries(spec).forEach(([key, value]) => {
+        rounded[key] = typeof value === 'number' ? round(value) :
+                       Array.isArray(value) ? value.map(round) : value;
+    });
+    return rounded;
+}
+
+// 保存しないパラメータ（ツールやモードの状態）
+// 保存すると、再読み込みや共有リンクでいきなりブラシや編集モード、ツアーが始まってしまう
+const SESSION_PARAMS = ['editMode', 'paletteItem', 'transformMode', 'placeAirStones', 'substrateTool', 'brushRadius', 'brushStrength', 'paintMaterial', 'kioskMode'];
+
+// 現在の水槽をJSONにできるレイアウト情報として返す関数
+function getLayout() {
+    const savedParams = { ...params, speciesMix: { ...params.speciesMix } };
+    SESSION_PARAMS.forEach(key => delete savedParams[key]);
+    
+    return {
+        version: LAYOUT_VERSION,
+        params: savedParams,
+        // 岩に付けたモスは、岩が砂地に合わせて動いた時に一緒に動かせるよう、岩の番号を保存する
+        plants: plants.map(plant => {
+            const rockIndex = rocks.indexOf(plant.userData.rock);
+            return roundLayoutSpec({ ...plant.userData.layout, rock: rockIndex >= 0 ? rockIndex : undefined });
+        }),
+        rocks: rocks.map(rock => roundLayoutSpec(rock.userData.layout)),
+        // 魚は泳いでいる現在の位置を保存する
+        fishes: fishes.map(fish => {
+            const { age, hunger, energy, growth } = fish.userData;
+            return roundLayoutSpec({ ...fish.userData.layout, position: fish.position.toArray(), age, hunger, energy, growth });
+        }),
+        airStones: airStones.map(stone => roundLayoutSpec(stone.userData.layout)),
+        cameraTour,
+        // ブラシで変えていなければシードから作り直せるので保存しない
+        substrate: substrate.edited ? encodeSubstrate() : undefined
+    };
+}
+
+// パラメータの値をシーンとGUIに反映する関数
+function applyParams() {
+    water.material.uniforms.waterColor.value.set(params.waterColor);
+    waterVolume.material.color.set(params.waterColor);
+    waterVolume.material.opacity = params.waterOpacity;
+    updateLightIntensity();
+    causticUniforms.causticScale.value = params.causticScale;
+    causticUniforms.causticSpeed.value = params.causticSpeed;
+    updateCurrent();
+    updateTankGeometry();
+    createLightShafts();
+    applyQuality();
+    applyShadowSettings();
+    applyEnclosure();
+    gui.controllersRecursive().forEach(controller => controller.updateDisplay());
+}
+
+// 読み込んだレイアウトの値を確かめるための関数
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isNumberArray(value, length) {
+    return Array.isArray(value) && value.length === length && value.every(isFiniteNumber);
+}
+
+// 配置情報の大きさの上限（モスの粒子の数などは大きさに比例するので、大きすぎる値で固まらないようにする）
+const LAYOUT_MAX_SIZE = 10;
+const LAYOUT_OWNERS = ['plants', 'rocks', 'hardscape'];
+
+function isLayoutSize(value) {
+    return isFiniteNumber(value) && value > 0 && value <= LAYOUT_MAX_SIZE;
+}
+
+function isLayoutColor(value) {
+    return isFiniteNumber(value) || (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value));
+}
+
+// 全ての配置情報に共通する位置・回転・拡大率・シードを確かめる関数
+function isValidSpec(spec) {
+    return typeof spec === 'object' && spec !== null &&
+        isNumberArray(spec.position, 3) && isFiniteNumber(spec.seed) &&
+        (spec.rotation === undefined || isNumberArray(spec.rotation, 3)) &&
+        (spec.rotationY === undefined || isFiniteNumber(spec.rotationY)) &&
+        (spec.scale === undefined || (isNumberArray(spec.scale, 3) && spec.scale.every(value => Math.abs(value) <= LAYOUT_MAX_SIZE))) &&
+        (spec.owner === undefined || LAYOUT_OWNERS.includes(spec.owner));
+}
+
+function isValidPlantSpec(spec) {
+    if (!isValidSpec(spec) || (spec.color !== undefined && !isLayoutColor(spec.color)) ||
+        (spec.rock !== undefined && !Number.isInteger(spec.rock))) return false;
+    
+    if (spec.type === 'hygrophila') {
+        return isLayoutSize(spec.height) && isLayoutSize(spec.radius) && (spec.variety === undefined || Number.isInteger(spec.variety));
+    }
+    if (spec.type === 'vallisneria') {
+        return isLayoutSize(spec.height) && isLayoutSize(spec.radius);
+    }
+    return spec.type === 'willowMoss' && isLayoutSize(spec.size);
+}
+
+function isValidRockSpec(spec) {
+    return isValidSpec(spec) && isLayoutSize(spec.size);
+}
+
+function isValidFishSpec(spec) {
+    return isValidSpec(spec) && isLayoutSize(spec.size) && isFiniteNumber(spec.rotationY) &&
+        isLayoutColor(spec.bodyColor) && isLayoutColor(spec.finColor) && typeof spec.species === 'string' &&
+        ['age', 'hunger', 'energy', 'growth'].every(key => spec[key] === undefined || isFiniteNumber(spec[key]));
+}
+
+// 保存されたパラメータのうち、同じ型で PARAM_LIMITS の範囲・選択肢に合う値だけを返す関数
+// 共有リンクの Fish Count が 1e6 などでページが固まらないよう、数値はGUIの最小・最大に収める
+function sanitizeParams(saved, target = params, getLimits = key => PARAM_LIMITS[key]) {
+    const sanitized = {};
+    
+    Object.keys(target).forEach(key => {
+        let value = saved[key];
+        if (typeof value !== typeof target[key]) return;
+        
+        // 入れ子のオブジェクト（魚の種類の混合比率）は中の値それぞれを同じ範囲で確かめる
+        if (typeof value === 'object') {
+            if (value !== null) sanitized[key] = sanitizeParams(value, target[key], () => PARAM_LIMITS[key]);
+            return;
+        }
+        
+        const limits = getLimits(key);
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value)) return;
+            if (Array.isArray(limits)) {
+                const [min, max, step] = limits;
+                value = THREE.MathUtils.clamp(value, min, max);
+                if (step) value = Math.round(value / step) * step;
+            }
+        }
+        if (limits && !Array.isArray(limits) && !Object.values(limits).includes(value)) return;
+        if (typeof value === 'string' && target[key].startsWith('#') && !isLayoutColor(value)) return;
+        
+        sanitized[key] = value;
+    });
+    return sanitized;
+}
+
+// レイアウト情報から水槽を作り直す関数
+// 途中で失敗して水槽が半端な状態にならないよう、全ての値を確かめてから反映する
+function loadLayout(layout) {
+    if (!layout || layout.version !== LAYOUT_VERSION || typeof layout.params !== 'object' || layout.params === null ||
+        !Array.isArray(layout.plants) || !Array.isArray(layout.rocks) || !Array.isArray(layout.fishes) ||
+        (layout.airStones !== undefined && !Array.isArray(layout.airStones))) {
+        throw new Error('Unsupported aquarium layout');
+    }
+    if (!layout.plants.every(isValidPlantSpec) || !layout.rocks.every(isValidRockSpec) ||
+        !layout.fishes.every(isValidFishSpec) || !(layout.airStones || []).every(isValidSpec)) {
+        throw new Error('Invalid object in aquarium layout');
+    }
+    const savedSubstrate = layout.substrate === undefined ? null : decodeSubstrate(layout.substrate);
+    const savedParams = sanitizeParams(layout.params);
+    
+    // 入れ子のオブジェクトはGUIが参照しているので中身を上書きする（古いレイアウトに残っているツールの状態は使わない）
+    Object.entries(savedParams).forEach(([key, value]) => {
+        if (SESSION_PARAMS.includes(key)) return;
+        
+        if (typeof value === 'object') {
+            Object.assign(params[key], value);
+        } else {
+            params[key] = value;
+        }
+    });
+    applyParams();
+    if (savedSubstrate) {
+        restoreSubstrate(savedSubstrate);
+    }
+    
+    selectEditorObject(null);
+    disposeOwner('plants');
+    disposeOwner('rocks');
+    disposeOwner('hardscape');
+    [...fishes].forEach(removeFish);
+    clearDeadFishes();
+    plants = [];
+    rocks = [];
+    plantBatchesDirty = true;
+    
+    const plantColor = new THREE.Color(params.plantColor);
+    layout.plants.forEach(spec => addPlant(spec, plantColor));
+    layout.rocks.forEach(spec => addRock(spec));
+    layout.plants.forEach((spec, i) => {
+        if (spec.rock !== undefined) plants[i].userData.rock = rocks[spec.rock];
+    });
+    layout.fishes.slice(0, MAX_POPULATION).forEach(spec => addFish(spec));
+    params.fishCount = fishes.length;
+    
+    // エアストーンの無い古いレイアウトではシードから配置する
+    [...airStones].forEach(removeAirStone);
+    if (layout.airStones) {
+        layout.airStones.slice(0, PARAM_LIMITS.airStoneCount[1]).forEach(spec => addAirStone(spec));
+    } else {
+        createAirStones();
+    }
+    params.airStoneCount = airStones.length;
+    
+    cameraTour = Array.isArray(layout.cameraTour)
+        ? layout.cameraTour.filter(point => isNumberArray(point?.position, 3) && isNumberArray(point?.target, 3))
+        : [];
+    
+    // 底床の形が保存時と違っても（古いレイアウトなど）浮いたり埋まったりしないようにする
+    snapObjectsToSand();
+}
+
+// 新しいシードでランダムなレイアウトを生成する関数
+function randomizeLayout() {
+    params.seed = Math.floor(Math.random() * 1000000);
+    gui.controllersRecursive().forEach(controller => controller.updateDisplay());
+    rebuildTank();
+    saveLayoutToStorage();
+}
+
+// localStorageにレイアウトを自動保存する関数
+function saveLayoutToStorage() {
+    try {
+        localStorage.setItem(LAYOUT_STORAGE_KEY, JSON.stringify(getLayout()));
+    } catch (error) {
+        console.warn('Failed to autosave aquarium layout:', error);
+    }
+}
+
+// URLのハッシュに埋め込めるよう、レイアウトをUTF-8のBase64文字列にする関数
+function encodeLayout(layout) {
+    return bytesToBase64(new TextEncoder().encode(JSON.stringify(layout)));
+}
+
+function decodeLayout(text) {
+    return JSON.parse(new TextDecoder().decode(base64ToBytes(text)));
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// URLのハッシュ（#layout=...）からレイアウトを読み込む関数
+function loadLayoutFromHash() {
+    const encoded = new URLSearchParams(location.hash.slice(1)).get('layout');
+    if (!encoded) return false;
+    
+    try {
+        loadLayout(decodeLayout(encoded));
+        return true;
+    } catch (error) {
+        console.error('Failed to load aquarium layout from URL:', error);
+        return false;
+    }
+}
+
+// 共有リンク > 前回の自動保存 の順にレイアウトを復元する関数
+function restoreLayout() {
+    if (loadLayoutFromHash()) return true;
+    
+    // ストレージが使えない設定のブラウザでは読むだけでも SecurityError になる
+    try {
+        const saved = localStorage.getItem(LAYOUT_STORAGE_KEY);
+        if (!saved) return false;
+        
+        loadLayout(JSON.parse(saved));
+        return true;
+    } catch (error) {
+        console.warn('Ignoring invalid autosaved aquarium layout:', error);
+        try {
+            localStorage.removeItem(LAYOUT_STORAGE_KEY);
+        } catch {
+            // ストレージが使えない場合は消すこともできない
+        }
+        return false;
+    }
+}
+
+// レイアウトをJSONファイルとしてダウンロードする関数
+function exportLayout() {
+    const blob = new Blob([JSON.stringify(getLayout(), null, 2)], { type: 'application/json' });
+    downloadBlob(blob, 'aquarium-layout.json');
+}
+
+// Blob をファイルとしてダウンロードさせる関数
+function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    
+    // すぐに解放するとダウンロードが中断されるブラウザ（Firefox）があるので、少し待ってから解放する
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// JSONファイルを選んでレイアウトを読み込む関数
+function importLayout() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.addEventListener('change', async () => {
+        const file = input.files[0];
+        if (!file) return;
+        
+        try {
+            loadLayout(JSON.parse(await file.text()));
+            saveLayoutToStorage();
+        } catch (error) {
+            console.error('Failed to import aquarium layout:', error);
+            alert('Could not import this layout file. Check console for more details.');
+        }
+    });
+    input.click();
+}
+
+// 現在のレイアウトを埋め込んだURLを作ってクリップボードにコピーする関数
+function shareLayout() {
+    const url = `${location.href.split('#')[0]}#layout=${encodeURIComponent(encodeLayout(getLayout()))}`;
+    
+    // replaceState は hashchange を発生させないので読み込み直しにはならない
+    history.replaceState(null, '', url);
+    
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(url).catch(error => {
+            console.warn('Failed to copy share link:', error);
+        });
+    }
+}
+
+// 撮影・録画の解像度（window は画面の表示サイズのまま）
+const CAPTURE_RESOLUTIONS = {
+    window: null,
+    '720p': [1280, 720],
+    '1080p': [1920, 1080],
+    '1440p': [2560, 1440],
+    '4k': [3840, 2160],
+    '8k': [7680, 4320]
+};
+
+// 録画中の状態（録画していない時は null）
+let videoCapture = null;
+
+// 録画の進み具合（GUIに表示する）
+const captureStatus = { text: 'Idle' };
+
+// 撮影する解像度を求める関数（GPUが扱える大きさを超える場合は縮める）
+function getCaptureSize(resolution) {
+    const size = CAPTURE_RESOLUTIONS[resolution] ?? [
+        Math.round(window.innerWidth * window.devicePixelRatio),
+        Math.round(window.innerHeight * window.devicePixelRatio)
+    ];
+    const maxSize = renderer.capabilities.maxTextureSize;
+    const scale = Math.min(1, maxSize / Math.max(...size));
+    if (scale < 1) {
+        console.warn(`Capture size ${size.join('x')} exceeds the GPU limit of ${maxSize}px; scaling down.`);
+    }
+    
+    // 動画のエンコーダーは奇数の幅を受け付けないことがあるので偶数にする
+    return size.map(length => Math.floor(length * scale / 2) * 2);
+}
+
+// 描画バッファだけを指定の大きさに変える関数（画面上の表示サイズは変えない）
+// 編集用のハンドルは写らないよう隠し、元に戻す関数を返す
+function resizeForCapture(width, height) {
+    const pixelRatio = renderer.getPixelRatio();
+    const gizmoVisible = transformControls.visible;
+    
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    transformControls.visible = false;
+    
+    return () => {
+        renderer.setPixelRatio(pixelRatio);
+        renderer.setSize(window.innerWidth, window.innerHeight);
+        camera.aspect = window.innerWidth / window.innerHeight;
+        camera.updateProjectionMatrix();
+        transformControls.visible = gizmoVisible;
+    };
+}
+
+// ファイル名に使う日時の文字列を返す関数
+function getCaptureTimestamp() {
+    return new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+}
+
+// 指定の解像度で1枚描画して PNG で保存する関数
+function takeScreenshot() {
+    if (videoCapture) return;
+    
+    const [width, height] = getCaptureSize(params.screenshotResolution);
+    const restore = resizeForCapture(width, height);
+    
+    renderer.info.reset();
+    renderer.render(scene, camera);
+    
+    // toBlob は呼んだ時点の描画内容を使うので、すぐに元の大きさに戻してよい
+    renderer.domElement.toBlob(blob => {
+        if (blob) {
+            downloadBlob(blob, `aquarium-${width}x${height}-${getCaptureTimestamp()}.png`);
+        } else {
+            showWarning(`Could not encode a ${width}x${height} screenshot. Try a lower resolution.`);
+        }
+    }, 'image/png');
+    restore();
+}
+
+// 録画に使える形式を返す関数
+function getVideoMimeType() {
+    if (!window.MediaRecorder || !HTMLCanvasElement.prototype.captureStream) return null;
+    return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type)) ?? null;
+}
+
+// 録画を開始・停止する関数（GUIのボタン用）
+function toggleRecording() {
+    if (videoCapture) {
+        videoCapture.stopped = true;
+    } else {
+        startRecording();
+    }
+}
+
+// 時間を決まった刻みで進めながら WebM に録画する関数
+// 1コマ描画するたびにレコーダーを1コマ分だけ動かすので、描画が遅れても動画は滑らかになる
+async function startRecording() {
+    const mimeType = getVideoMimeType();
+    if (!mimeType) {
+        showWarning('Video recording is not supported in this browser.');
+        return;
+    }
+    
+    const [width, height] = getCaptureSize(params.videoResolution);
+    const fps = params.videoFps;
+    const step = 1 / fps;
+    const frameCount = Math.round(params.videoDuration * fps);
+    
+    const chunks = [];
+    let track = null;
+    let recorder = null;
+    let finished = null;
+    let restore = null;
+    let time = clock.elapsedTime;
+    
+    // 準備や録画の途中で失敗しても、描画バッファの大きさと animate の描画を元に戻す
+    try {
+        const stream = renderer.domElement.captureStream(0);
+        [track] = stream.getVideoTracks();
+        recorder = new MediaRecorder(stream, {
+            mimeType,
+            videoBitsPerSecond: Math.round(width * height * fps * 0.15)
+        });
+        recorder.addEventListener('dataavailable', event => {
+            if (event.data.size > 0) chunks.push(event.data);
+        });
+        recorder.start();
+        recorder.pause();
+        finished = new Promise(resolve => recorder.addEventListener('stop', resolve));
+        
+        // レコーダーが動き出してから、録画中は animate の代わりにここで描画する（時計を止めた時刻から進める）
+        videoCapture = { stopped: false };
+        restore = resizeForCapture(width, height);
+        
+        for (let frame = 0; frame < frameCount && !videoCapture.stopped; frame++) {
+            time += step;
+            renderFrame(time, step);
+            
+            // 描画済みのコマを渡し、1コマ分の時間だけレコーダーを動かす
+            const resumedAt = performance.now();
+            recorder.resume();
+            track.requestFrame();
+            await new Promise(resolve => requestAnimationFrame(resolve));
+            await new Promise(resolve => setTimeout(resolve, Math.max(0, step * 1000 - (performance.now() - resumedAt))));
+            recorder.pause();
+            
+            captureStatus.text = `Recording ${((frame + 1) * step).toFixed(1)} / ${params.videoDuration} s`;
+        }
+    } catch (error) {
+        console.error('Video recording failed:', error);
+        showWarning('Video recording failed. Check console for more details.');
+    } finally {
+        if (recorder && recorder.state !== 'inactive') {
+            recorder.stop();
+        }
+        track?.stop();
+        
+        if (restore) {
+            restore();
+            
+            // 録画した分だけ時計を進めてから animate に戻す
+            clock.getDelta();
+            clock.elapsedTime = time;
+        }
+        videoCapture = null;
+        captureStatus.text = 'Idle';
+    }
+    
+    if (!finished) return;
+    await finished;
+    if (chunks.length > 0) {
+        downloadBlob(new Blob(chunks, { type: 'video/webm' }), `aquarium-${width}x${height}-${getCaptureTimestamp()}.webm`);
+    }
+}
+
+function onWindowResize() {
+    // 録画中は描画バッファの大きさを変えない（録画が終わった時に合わせる）
+    if (videoCapture) return;
+    
+    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.updateProjectionMatrix();
+    renderer.setSize(window.innerWidth, window.innerHeight);
+}
+
+function animate() {
+    requestAnimationFrame(animate);
+    
+    // 録画中は録画のループが一定の刻みで描画する
+    if (videoCapture) return;
+
+    // タブが非表示だった後などに大きく飛ばないよう上限を設ける
+    const frameTime = clock.getDelta();
+    const delta = Math.min(frameTime, 0.1);
+    updatePerformance(frameTime);
+    renderFrame(clock.elapsedTime, delta);
+}
+
+// 時刻 elapsedTime まで delta 秒進めて1フレーム描画する関数
+function renderFrame(elapsedTime, delta) {
+    water.material.uniforms['time'].value = elapsedTime;
+        
+    // 時刻と照明
+    updateDayNight(delta);
+    
+    // 魚と餌のアニメーション
+    animateFishes(elapsedTime, delta);
+    updateFood(elapsedTime, delta);
+    updateLifecycle(delta);
+    updateBubbles(elapsedTime, delta);
+    
+    // 選択中の魚を追いかける（キオスクモードではカメラツアー）
+    updateFollowCamera(delta);
+    updateFishInfoPanel();
+    updateKiosk(delta);
+    
+    // 光柱のアニメーション
+    animateLightShafts(elapsedTime);
+    animateCaustics();
+
+    // 底床のブラシ
+    updateSubstrateBrush(delta);
+    
+    // 水草が増減・移動していればバッチを書き直す
+    if (plantBatchesDirty) {
+        updatePlantBatches();
+    }
+
+    // ツアー中はカメラを直接動かしているので、OrbitControls の減衰を効かせない
+    if (!kioskState.touring) {
+        controls.update();
+    }
+    updateCameraMedium();
+    
+    // 水面の反射の描画も含めて1フレーム分を数える
+    renderer.info.reset();
+    renderer.render(scene, camera);
+    updateRenderStats();
+}
+
+// デバッグ表示用の描画統計（GUIに表示する）
+const renderStats = {
+    geometries: 0,
+    textures: 0,
+    programs: 0,
+    drawCalls: 0,
+    triangles: 0,
+    sceneObjects: 0
+};
+
+// renderer.info と登録済みオブジェクトの数を統計に反映する関数
+function updateRenderStats() {
+    const { memory, render, programs } = renderer.info;
+    renderStats.geometries = memory.geometries;
+    renderStats.textures = memory.textures;
+    renderStats.programs = programs ? programs.length : 0;
+    renderStats.drawCalls = render.calls;
+    renderStats.triangles = render.triangles;
+    renderStats.sceneObjects = [...sceneRegistry.values()].reduce((sum, owned) => sum + owned.size, 0);
+}
+
+// 影の描き方の種類
+const SHADOW_TYPES = {
+    basic: THREE.BasicShadowMap,
+    pcf: THREE.PCFShadowMap,
+    pcfSoft: THREE.PCFSoftShadowMap,
+    vsm: THREE.VSMShadowMap
+};
+
+// 影の設定をレンダラーとメインライトに反映する関数
+function applyShadowSettings() {
+    const type = SHADOW_TYPES[params.shadowType] ?? THREE.PCFSoftShadowMap;
+    const size = params.shadowMapSize || QUALITY_PRESETS[currentQuality].shadowMapSize;
+    const { shadow } = mainLight;
+    
+    // 有効・無効や種類が変わるとシェーダーが変わるので、全てのマテリアルを作り直す
+    if (renderer.shadowMap.enabled !== params.shadows || renderer.shadowMap.type !== type) {
+        renderer.shadowMap.enabled = params.shadows;
+        renderer.shadowMap.type = type;
+        scene.traverse(object => {
+            if (object.material) {
+                (Array.isArray(object.material) ? object.material : [object.material]).forEach(material => {
+                    material.needsUpdate = true;
+                });
+            }
+        });
+        disposeShadowMap();
+    }
+    
+    // 影のマップは大きさを変えたら作り直す
+    if (shadow.mapSize.x !== size) {
+        shadow.mapSize.set(size, size);
+        disposeShadowMap();
+    }
+    
+    shadow.radius = params.shadowRadius;
+    shadow.blurSamples = Math.max(8, Math.round(params.shadowRadius * 4));
+}
+
+function disposeShadowMap() {
+    if (mainLight.shadow.map) {
+        mainLight.shadow.map.dispose();
+        mainLight.shadow.map = null;
+    }
+}
+
+const _shadowCorner = new THREE.Vector3();
+const _shadowMin = new THREE.Vector3();
+const _shadowMax = new THREE.Vector3();
+
+// 影のカメラの範囲を、ライトから見た水槽全体にぴったり合わせる関数
+// ライトの向きは時刻で変わるので毎フレーム呼ぶ
+function updateShadowCamera() {
+    const camera = mainLight.shadow.camera;
+    camera.position.copy(mainLight.position);
+    camera.lookAt(mainLight.target.position);
+    camera.updateMatrixWorld();
+    
+    // 水槽の8つの角をライトの視点座標に変換して範囲を求める
+    const halfWidth = params.tankWidth / 2;
+    const halfDepth = params.tankDepth / 2;
+    _shadowMin.setScalar(Infinity);
+    _shadowMax.setScalar(-Infinity);
+    for (let i = 0; i < 8; i++) {
+        _shadowCorner.set(
+            i & 1 ? halfWidth : -halfWidth,
+            i & 2 ? params.tankHeight : 0,
+            i & 4 ? halfDepth : -halfDepth
+        ).applyMatrix4(camera.matrixWorldInverse);
+        _shadowMin.min(_shadowCorner);
+        _shadowMax.max(_shadowCorner);
+    }
+    
+    // カメラは -z 方向を向いているので、奥行きは符号を反転して near/far にする
+    const margin = 0.5;
+    camera.left = _shadowMin.x - margin;
+    camera.right = _shadowMax.x + margin;
+    camera.bottom = _shadowMin.y - margin;
+    camera.top = _shadowMax.y + margin;
+    camera.near = -_shadowMax.z - margin;
+    camera.far = -_shadowMin.z + margin;
+    camera.updateProjectionMatrix();
+}
+
+// 描画品質のプリセット
+// maxPixelRatio: 画面のピクセル比の上限、shadowMapSize: 影の解像度、
+// reflectionSize: 水面の反射の解像度、transmission: ガラスか水のボリュームを屈折・透過で描くか
+const QUALITY_PRESETS = {
+    low: { name: 'Low', maxPixelRatio: 0.75, shadowMapSize: 512, reflectionSize: 128, transmission: false },
+    medium: { name: 'Medium', maxPixelRatio: 1, shadowMapSize: 1024, reflectionSize: 256, transmission: false },
+    high: { name: 'High', maxPixelRatio: 1.5, shadowMapSize: 1024, reflectionSize: 512, transmission: true },
+    ultra: { name: 'Ultra', maxPixelRatio: 2, shadowMapSize: 2048, reflectionSize: 1024, transmission: true }
+};
+const QUALITY_LEVELS = ['low', 'medium', 'high', 'ultra'];
+let currentQuality = 'high';
+
+// 自動調整の設定
+const AUTO_QUALITY_INTERVAL = 3;       // フレーム時間を平均する秒数
+const AUTO_QUALITY_SLOW = 1 / 45;      // これより遅ければ品質を下げる
+const AUTO_QUALITY_FAST = 1 / 57;      // これより速ければ品質を上げる
+const AUTO_QUALITY_RETRY = 30;         // 品質を下げた後、同じ品質に戻すのを待つ秒数
+
+// フレーム時間の計測（自動調整と表示に使う）
+const performanceState = {
+    sampleTime: 0,
+    sampleFrames: 0,
+    averageFrameTime: 1 / 60,
+    displayTime: 0,
+    displayFrames: 0,
+    retryTime: 0,          // 品質を上げられるようになるまでの残り時間
+    overlay: null
+};
+
+// 品質のプリセットをレンダラー・影・水面・水のボリュームに反映する関数
+function applyQualityPreset(level) {
+    const preset = QUALITY_PRESETS[level];
+    currentQuality = level;
+    
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, preset.maxPixelRatio));
+    
+    applyShadowSettings();
+    
+    setWaterReflectionSize(preset.reflectionSize);
+    
+    applyEnclosure();
+}
+
+// GUIで選んだ品質を反映する関数（自動の場合は現在の品質から計測し直す）
+function applyQuality() {
+    if (params.quality !== 'auto') {
+        applyQualityPreset(params.quality);
+    }
+    performanceState.sampleTime = 0;
+    performanceState.sampleFrames = 0;
+    performanceState.retryTime = 0;
+}
+
+// フレーム時間を計測し、自動の場合は品質を1段階ずつ上げ下げする関数
+function updatePerformance(frameTime) {
+    // タブが非表示だった間などの極端に長いフレームは計測しない
+    if (frameTime > 0.25) return;
+    
+    const state = performanceState;
+    state.retryTime = Math.max(0, state.retryTime - frameTime);
+    state.sampleTime += frameTime;
+    state.sampleFrames++;
+    state.displayTime += frameTime;
+    state.displayFrames++;
+    
+    if (state.displayTime >= 0.5) {
+        updatePerformanceOverlay(state.displayTime / state.displayFrames);
+        state.displayTime = 0;
+        state.displayFrames = 0;
+    }
+    
+    if (state.sampleTime < AUTO_QUALITY_INTERVAL) return;
+    
+    state.averageFrameTime = state.sampleTime / state.sampleFrames;
+    state.sampleTime = 0;
+    state.sampleFrames = 0;
+    if (params.quality !== 'auto') return;
+    
+    const index = QUALITY_LEVELS.indexOf(currentQuality);
+    if (state.averageFrameTime > AUTO_QUALITY_SLOW && index > 0) {
+        applyQualityPreset(QUALITY_LEVELS[index - 1]);
+        state.retryTime = AUTO_QUALITY_RETRY;
+    } else if (state.averageFrameTime < AUTO_QUALITY_FAST && index < QUALITY_LEVELS.length - 1 && state.retryTime === 0) {
+        applyQualityPreset(QUALITY_LEVELS[index + 1]);
+    }
+}
+
+// FPS とフレーム時間の表示を作る関数
+function createPerformanceOverlay() {
+    performanceState.overlay = document.createElement('div');
+    performanceState.overlay.id = 'performance-overlay';
+    document.body.appendChild(performanceState.overlay);
+}
+
+function updatePerformanceOverlay(frameTime) {
+    const { overlay } = performanceState;
+    overlay.style.display = params.showStats ? 'block' : 'none';
+    if (!params.showStats) return;
+    
+    const mode = params.quality === 'auto' ? ' (auto)' : '';
+    overlay.textContent = `${Math.round(1 / frameTime)} FPS  ${(frameTime * 1000).toFixed(1)} ms  ${QUALITY_PRESETS[currentQuality].name}${mode}`;
+}
+
+// 泡の設定
+const MAX_BUBBLES = 512;            // 泡のバッファの大きさ（これ以上は新しく出さない）
+const BUBBLE_ACCELERATION = 1.2;    // 上昇の加速度（浅いほど強くなる）
+const BUBBLE_MAX_SPEED = 4;
+const MAX_SURFACE_RIPPLES = 16;     // 水面に同時に残る泡の波紋の数
+
+// 泡のプール（生きている泡は先頭の bubbleCount 個に詰めて管理する）
+const bubblePool = {
+    position: new Float32Array(MAX_BUBBLES * 3),
+    speed: new Float32Array(MAX_BUBBLES),
+    size: new Float32Array(MAX_BUBBLES),
+    phase: new Float32Array(MAX_BUBBLES),
+    origin: new Float32Array(MAX_BUBBLES * 2)
+};
+let bubbleCount = 0;
+
+// 泡がはじけた位置の波紋（x, z, 発生時刻, 強さ）を水面のシェーダーに渡す
+const rippleUniforms = {
+    bubbleRipples: { value: Array.from({ length: MAX_SURFACE_RIPPLES }, () => new THREE.Vector4(0, 0, -100, 0)) }
+};
+let nextRipple = 0;
+
+const bubbleRippleShaderChunk = `
+    uniform vec4 bubbleRipples[${MAX_SURFACE_RIPPLES}];
+    
+    // 波紋の広がりに合わせて水面の法線を傾ける
+    vec3 applyBubbleRipples(vec3 normal, vec2 position) {
+        for (int i = 0; i < ${MAX_SURFACE_RIPPLES}; i++) {
+            vec4 ripple = bubbleRipples[i];
+            float age = time - ripple.z;
+            if (age < 0.0 || age > 2.0) continue;
+            
+            vec2 offset = position - ripple.xy;
+            float distance = length(offset);
+            float wave = sin(distance * 12.0 - age * 8.0) * exp(-distance * 1.5 - age * 2.5) * ripple.w;
+            normal.xz += offset / max(distance, 0.001) * wave;
+        }
+        return normalize(normal);
+    }
+`;
+
+function bubbleRippleHook(shader) {
+    shader.uniforms.bubbleRipples = rippleUniforms.bubbleRipples;
+    shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', `#include <common>
+            ${bubbleRippleShaderChunk}`)
+        .replace('vec3 surfaceNormal = normalize( noise.xzy * vec3( 1.5, 1.0, 1.5 ) );', `vec3 surfaceNormal = normalize( noise.xzy * vec3( 1.5, 1.0, 1.5 ) );
+            surfaceNormal = applyBubbleRipples(surfaceNormal, worldPosition.xz);`);
+}
+
+// 泡を描画するインスタンスメッシュを作る関数
+function createBubbleSystem() {
+    const geometry = new THREE.SphereGeometry(1, 8, 6);
+    const material = new THREE.MeshPhongMaterial({
+        color: 0xeef8ff,
+        specular: 0xffffff,
+        shininess: 120,
+        transparent: true,
+        opacity: 0.45,
+        depthWrite: false
+    });
+    
+    bubbleMesh = new THREE.InstancedMesh(geometry, material, MAX_BUBBLES);
+    bubbleMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    bubbleMesh.count = 0;
+    bubbleMesh.frustumCulled = false; // 泡が毎フレーム動くのでバウンディングは使わない
+    scene.add(bubbleMesh);
+}
+
+// エアストーンのメッシュを作る関数（小さな円柱の多孔質の石）
+function createAirStone() {
+    const geometry = new THREE.CylinderGeometry(0.25, 0.3, 0.2, 16);
+    const material = new THREE.MeshStandardMaterial({
+        color: 0x8a8f96,
+        roughness: 1.0,
+        metalness: 0.0
+    });
+    return new THREE.Mesh(geometry, material);
+}
+
+// エアストーンの中心の砂地からの高さ
+const AIR_STONE_HEIGHT = 0.1;
+
+// 配置情報からエアストーンを1つ作成してシーンに追加する関数
+// spec: { position, seed }
+function addAirStone(spec) {
+    const stone = createAirStone();
+    stone.castShadow = true;
+    stone.receiveShadow = true;
+    stone.position.fromArray(spec.position);
+    stone.userData.layout = spec;
+    stone.userData.emitTimer = createRandom(spec.seed)();
+    
+    applyCaustics(stone);
+    addToScene(stone, 'airStones');
+    airStones.push(stone);
+    return stone;
+}
+
+function removeAirStone(stone) {
+    removeFromScene(stone);
+    airStones = airStones.filter(other => other !== stone);
+}
+
+// index番目のエアストーンの配置情報を作る関数
+function createAirStoneSpec(index) {
+    const random = createRandom(deriveSeed(`airStone:${index}`));
+    const { x, z } = randomFloorPosition(2, random);
+    return { position: [x, getSandHeight(x, z) + AIR_STONE_HEIGHT, z], seed: randomSeed(random) };
+}
+
+// エアストーンを作り直す関数
+function createAirStones() {
+    [...airStones].forEach(removeAirStone);
+    setAirStoneCount(params.airStoneCount);
+}
+
+// GUIの数に合わせてエアストーンを増減する関数
+function setAirStoneCount(count) {
+    while (airStones.length < count) {
+        addAirStone(createAirStoneSpec(airStones.length));
+    }
+    while (airStones.length > count) {
+        removeAirStone(airStones[airStones.length - 1]);
+    }
+}
+
+// クリックした砂地の位置にエアストーンを置く関数
+function placeAirStoneAtPointer() {
+    const hit = raycaster.intersectObject(sand)[0];
+    if (!hit) return false;
+    
+    addAirStone({ position: [hit.point.x, hit.point.y + AIR_STONE_HEIGHT, hit.point.z], seed: Math.floor(Math.random() * 4294967296) });
+    params.airStoneCount = airStones.length;
+    saveLayoutToStorage();
+    return true;
+}
+
+// エアストーンから泡を1つ出す関数（プールが一杯なら出さない）
+function emitBubble(stone) {
+    if (bubbleCount >= MAX_BUBBLES) return;
+    
+    const i = bubbleCount++;
+    const angle = Math.random() * Math.PI * 2;
+    const radius = Math.random() * 0.2;
+    bubblePool.origin[i * 2] = stone.position.x + Math.cos(angle) * radius;
+    bubblePool.origin[i * 2 + 1] = stone.position.z + Math.sin(angle) * radius;
+    bubblePool.position[i * 3] = bubblePool.origin[i * 2];
+    bubblePool.position[i * 3 + 1] = stone.position.y + 0.1;
+    bubblePool.position[i * 3 + 2] = bubblePool.origin[i * 2 + 1];
+    bubblePool.speed[i] = 0.3 + Math.random() * 0.3;
+    bubblePool.size[i] = params.bubbleSize * (0.5 + Math.random());
+    bubblePool.phase[i] = Math.random() * Math.PI * 2;
+}
+
+// 泡を取り除き、最後の泡を空いた場所に詰める関数
+function removeBubble(i) {
+    const last = --bubbleCount;
+    bubblePool.position.copyWithin(i * 3, last * 3, last * 3 + 3);
+    bubblePool.origin.copyWithin(i * 2, last * 2, last * 2 + 2);
+    bubblePool.speed[i] = bubblePool.speed[last];
+    bubblePool.size[i] = bubblePool.size[last];
+    bubblePool.phase[i] = bubblePool.phase[last];
+}
+
+// 泡がはじけた位置に水面の波紋を追加する関数
+function addSurfaceRipple(x, z, time, strength) {
+    rippleUniforms.bubbleRipples.value[nextRipple].set(x, z, time, strength);
+    nextRipple = (nextRipple + 1) % MAX_SURFACE_RIPPLES;
+}
+
+const _bubbleMatrix = new THREE.Matrix4();
+
+// 泡を揺らしながら上昇させ、水面ではじけさせる関数
+function updateBubbles(time, delta) {
+    // エアストーンから一定の間隔で泡を出す
+    airStones.forEach(stone => {
+        stone.userData.emitTimer += delta * params.bubbleRate;
+        while (stone.userData.emitTimer >= 1) {
+            stone.userData.emitTimer -= 1;
+            emitBubble(stone);
+        }
+    });
+    
+    const surface = water.position.y;
+    const depth = surface - sand.position.y;
+    
+    for (let i = bubbleCount - 1; i >= 0; i--) {
+        const y = bubblePool.position[i * 3 + 1];
+        
+        // 浅くなるほど浮力が増して速くなり、少し膨らむ
+        const height = THREE.MathUtils.clamp(1 - (surface - y) / depth, 0, 1);
+        const speed = Math.min(bubblePool.speed[i] + BUBBLE_ACCELERATION * (1 + height) * delta, BUBBLE_MAX_SPEED);
+        bubblePool.speed[i] = speed;
+        bubblePool.position[i * 3 + 1] = y + speed * delta;
+        
+        if (bubblePool.position[i * 3 + 1] >= surface) {
+            addSurfaceRipple(bubblePool.position[i * 3], bubblePool.position[i * 3 + 2], time, Math.min(1, bubblePool.size[i] * 5));
+            removeBubble(i);
+            continue;
+        }
+        
+        // 左右に揺れながら上がる（大きい泡ほど大きく揺れる）
+        const phase = bubblePool.phase[i];
+        const wobble = bubblePool.size[i] * 2;
+        bubblePool.position[i * 3] = bubblePool.origin[i * 2] + Math.sin(time * 6 + phase) * wobble;
+        bubblePool.position[i * 3 + 2] = bubblePool.origin[i * 2 + 1] + Math.cos(time * 5 + phase * 1.3) * wobble;
+    }
+    
+    for (let i = 0; i < bubbleCount; i++) {
+        const y = bubblePool.position[i * 3 + 1];
+        const scale = bubblePool.size[i] * (1 + 0.5 * THREE.MathUtils.clamp(1 - (surface - y) / depth, 0, 1));
+        _bubbleMatrix.makeScale(scale, scale * 0.85, scale);
+        _bubbleMatrix.setPosition(bubblePool.position[i * 3], y, bubblePool.position[i * 3 + 2]);
+        bubbleMesh.setMatrixAt(i, _bubbleMatrix);
+    }
+    bubbleMesh.count = bubbleCount;
+    bubbleMesh.instanceMatrix.needsUpdate = true;
+}
+
+// 餌の設定
+const MAX_FOOD_PELLETS = 256;      // パーティクルのバッファの大きさ
+const FOOD_GRAVITY = 1.5;          // 沈む加速度
+const FOOD_DRAG = 2.0;             // 水の抵抗（大きいほどゆっくり沈む）
+const FOOD_REST_TIME = 12;         // 砂地に落ちてから消えるまでの秒数
+const FOOD_DETECTION_RADIUS = 6;   // 魚が餌に気づく距離
+const FOOD_EAT_INTERVAL = 0.4;     // 1匹が次の餌を食べられるまでの秒数
+const FOOD_COLOR = new THREE.Color(0xc68642);
+const SAND_COLOR = new THREE.Color(0xfbecc4);
+
+// 餌を描画するパーティクルを作る関数
+function createFoodSystem() {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(MAX_FOOD_PELLETS * 3), 3).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(MAX_FOOD_PELLETS * 3), 3).setUsage(THREE.DynamicDrawUsage));
+    geometry.setDrawRange(0, 0);
+    
+    const material = new THREE.PointsMaterial({
+        size: 0.12,
+        sizeAttenuation: true,
+        vertexColors: true
+    });
+    
+    foodPoints = new THREE.Points(geometry, material);
+    foodPoints.frustumCulled = false; // 粒が毎フレーム動くのでバウンディングは使わない
+    scene.add(foodPoints);
+}
+
+// 水面の位置に餌をまく関数
+function dropFood(point) {
+    for (let i = 0; i < params.pelletsPerDrop && foodPellets.length < MAX_FOOD_PELLETS; i++) {
+        foodPellets.push({
+            position: new THREE.Vector3(
+                point.x + (Math.random() - 0.5) * 0.8,
+                point.y - Math.random() * 0.2,
+                point.z + (Math.random() - 0.5) * 0.8
+            ),
+            velocity: new THREE.Vector3((Math.random() - 0.5) * 0.2, 0, (Math.random() - 0.5) * 0.2),
+            restTime: 0,
+            eaten: false
+        });
+    }
+}
+
+// 餌を沈ませ、食べられた餌や砂地で時間が経った餌を取り除く関数
+function updateFood(time, delta) {
+    const drag = Math.exp(-FOOD_DRAG * delta);
+    
+    foodPellets.forEach(pellet => {
+        const floor = getSandHeight(pellet.position.x, pellet.position.z) + 0.1;
+        if (pellet.position.y > floor) {
+            // 重力と水の抵抗で沈み、水流で少し流される
+            pellet.velocity.y -= FOOD_GRAVITY * delta;
+            pellet.velocity.multiplyScalar(drag);
+            pellet.position.addScaledVector(pellet.velocity, delta);
+            pellet.position.addScaledVector(getCurrentAt(pellet.position, time, _drift), delta * 0.3);
+            pellet.position.y = Math.max(pellet.position.y, floor);
+        } else {
+            pellet.restTime += delta;
+        }
+    });
+    
+    foodPellets = foodPellets.filter(pellet => !pellet.eaten && pellet.restTime < FOOD_REST_TIME);
+    
+    // バッファに書き込む（砂地で時間が経った餌は砂の色に溶け込ませる）
+    const positions = foodPoints.geometry.getAttribute('position');
+    const colors = foodPoints.geometry.getAttribute('color');
+    foodPellets.forEach((pellet, i) => {
+        positions.setXYZ(i, pellet.position.x, pellet.position.y, pellet.position.z);
+        _foodColor.copy(FOOD_COLOR).lerp(SAND_COLOR, pellet.restTime / FOOD_REST_TIME);
+        colors.setXYZ(i, _foodColor.r, _foodColor.g, _foodColor.b);
+    });
+    positions.needsUpdate = true;
+    colors.needsUpdate = true;
+    foodPoints.geometry.setDrawRange(0, foodPellets.length);
+}
+
+// 指定した範囲内で最も近い餌を返す関数（なければ null）
+function findNearestFood(position, radius) {
+    let nearest = null;
+    let nearestDistance = radius;
+    foodPellets.forEach(pellet => {
+        if (pellet.eaten) return;
+        const distance = pellet.position.distanceTo(position);
+        if (distance < nearestDistance) {
+            nearest = pellet;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
+
+// クリックした位置から水面へのレイキャストで餌をまく位置を求める関数
+// 水槽の中から見上げた場合も当たるよう、水面と同じ高さの平面に対して判定する
+function feedAtPointer(event) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    pointer.set(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(pointer, camera);
+    
+    _waterPlane.set(_planeNormal, -water.position.y);
+    if (!raycaster.ray.intersectPlane(_waterPlane, _feedPoint)) return;
+    
+    // 水面の範囲外は無視
+    const halfWidth = params.tankWidth / 2 - 0.5;
+    const halfDepth = params.tankDepth / 2 - 0.5;
+    if (Math.abs(_feedPoint.x) > halfWidth || Math.abs(_feedPoint.z) > halfDepth) return;
+    
+    dropFood(_feedPoint);
+}
+
+// カメラ操作のドラッグとクリックを区別する
+const _pointerDownPosition = new THREE.Vector2();
+
+function onPointerDown(event) {
+    _pointerDownPosition.set(event.clientX, event.clientY);
+}
+
+function onPointerUp(event) {
+    if (endSubstrateStroke()) return;
+    if (_pointerDownPosition.distanceTo(pointer.set(event.clientX, event.clientY)) > 5) return;
+    
+    // 編集モードでは岩・水草の選択と配置だけを行う
+    if (params.editMode) {
+        onEditorClick(event);
+        return;
+    }
+    
+    // エアストーンの配置中は砂地に置き、それ以外は魚の選択か餌やり
+    const fish = pickFish(event);
+    if (params.placeAirStones && placeAirStoneAtPointer()) return;
+    
+    if (fish) {
+        selectFish(fish);
+    } else if (params.feedingMode) {
+        feedAtPointer(event);
+    }
+}
+
+// GUIの入力欄などで文字を打っている時のキー入力か
+function isTypingTarget(target) {
+    return target instanceof HTMLElement &&
+        (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable);
+}
+
+function onKeyDown(event) {
+    // 入力欄での Backspace などで選択中の岩・水草を消さないよう、ショートカットは無視する
+    if (isTypingTarget(event.target)) return;
+    
+    if (event.key === 'Escape') {
+        selectFish(null);
+        selectEditorObject(null);
+    }
+    if (params.editMode) {
+        onEditorKeyDown(event);
+    }
+}
+
+// 配置情報の回転と拡大を反映する関数（編集モードで変えたものだけが持つ）
+function applySpecTransform(object, spec) {
+    if (Array.isArray(spec.rotation)) {
+        object.rotation.fromArray(spec.rotation);
+    }
+    if (Array.isArray(spec.scale)) {
+        object.scale.fromArray(spec.scale);
+    }
+}
+
+// 編集モードのパレット（砂地に置いた時の配置情報を作る）
+const HARDSCAPE_PALETTE = {
+    lavaRock: { name: 'Lava Rock', createSpec: random => ({ size: 0.8 + random() * 0.6, rotationY: random() * Math.PI * 2 }) },
+    hygrophila0: { name: 'Hygrophila (Standard)', createSpec: random => createHygrophilaSpec(0, random) },
+    hygrophila1: { name: 'Hygrophila (Narrow Leaf)', createSpec: random => createHygrophilaSpec(1, random) },
+    hygrophila2: { name: 'Hygrophila (Round Leaf)', createSpec: random => createHygrophilaSpec(2, random) },
+    hygrophila3: { name: 'Hygrophila (Large Leaf)', createSpec: random => createHygrophilaSpec(3, random) },
+    hygrophila4: { name: 'Hygrophila (Small Leaf)', createSpec: random => createHygrophilaSpec(4, random) },
+    vallisneria: { name: 'Vallisneria', createSpec: random => ({ type: 'vallisneria', height: 3.5 + random() * 2.0, radius: 0.1 + random() * 0.2 }) },
+    willowMoss: { name: 'Willow Moss', createSpec: random => ({ type: 'willowMoss', size: 0.4 + random() * 0.3 }) }
+};
+
+function createHygrophilaSpec(variety, random) {
+    return { type: 'hygrophila', height: 2.0 + random() * 1.5, radius: 0.2 + random() * 0.3, variety };
+}
+
+// 砂地に置いた時の基準の高さ（岩は半分ほど埋める）
+function getGroundOffset(object) {
+    const spec = object.userData.layout;
+    return rocks.includes(object) ? spec.size * ROCK_BURY_DEPTH * object.scale.y : 0;
+}
+
+// 岩や水草を砂地の高さに合わせ、水槽の中に収める関数
+function snapToSand(object) {
+    const halfWidth = params.tankWidth / 2 - 0.5;
+    const halfDepth = params.tankDepth / 2 - 0.5;
+    object.position.x = THREE.MathUtils.clamp(object.position.x, -halfWidth, halfWidth);
+    object.position.z = THREE.MathUtils.clamp(object.position.z, -halfDepth, halfDepth);
+    object.position.y = getSandHeight(object.position.x, object.position.z) + getGroundOffset(object);
+}
+
+// 底床を盛る・掘る・ならす・塗るブラシ
+// 押している間、毎フレームその位置に経過時間に比例した量だけかける
+const substrateBrush = {
+    active: false,            // ドラッグ中か
+    hasPoint: false,          // カーソルが砂地の上にあるか
+    point: new THREE.Vector3(),
+    cursor: null              // ブラシの範囲を示す輪
+};
+
+const SUBSTRATE_TOOLS = { Off: 'none', Raise: 'raise', Lower: 'lower', Smooth: 'smooth', Paint: 'paint' };
+
+// ブラシの範囲を示す輪を作る関数
+function createSubstrateBrushCursor() {
+    const cursor = new THREE.Mesh(
+        new THREE.RingGeometry(0.92, 1, 48).rotateX(-Math.PI / 2),
+        new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.6, depthTest: false, depthWrite: false })
+    );
+    cursor.renderOrder = 999;
+    cursor.visible = false;
+    scene.add(cursor);
+    substrateBrush.cursor = cursor;
+}
+
+// ポインターの位置の砂地を求める関数（当たらなければ null）
+function raycastSand(event) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    pointer.set(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(pointer, camera);
+    return raycaster.intersectObject(sand)[0] || null;
+}
+
+// ブラシを使っている時は、砂地を押したら視点の操作の代わりに底床を変える
+function onSubstratePointerDown(event) {
+    if (params.substrateTool === 'none' || event.button !== 0) return;
+    
+    const hit = raycastSand(event);
+    if (!hit) return;
+    
+    substrateBrush.active = true;
+    substrateBrush.hasPoint = true;
+    substrateBrush.point.copy(hit.point);
+    controls.enabled = false;
+}
+
+function onSubstratePointerMove(event) {
+    if (params.substrateTool === 'none') {
+        substrateBrush.cursor.visible = false;
+        return;
+    }
+    
+    const hit = raycastSand(event);
+    substrateBrush.hasPoint = Boolean(hit);
+    substrateBrush.cursor.visible = Boolean(hit);
+    if (hit) {
+        substrateBrush.point.copy(hit.point);
+    }
+}
+
+// ドラッグを終えたら視点の操作を戻して保存する関数（ブラシを使っていたら true）
+function endSubstrateStroke() {
+    if (!substrateBrush.active) return false;
+    
+    substrateBrush.active = false;
+    controls.enabled = true;
+    saveLayoutToStorage();
+    return true;
+}
+
+// ブラシの位置と大きさを輪に反映し、ドラッグ中なら底床を変える関数
+function updateSubstrateBrush(delta) {
+    const { cursor, point } = substrateBrush;
+    if (cursor.visible) {
+        cursor.position.set(point.x, getSandHeight(point.x, point.z) + 0.05, point.z);
+        cursor.scale.setScalar(params.brushRadius);
+    }
+    
+    if (substrateBrush.active && substrateBrush.hasPoint) {
+        applySubstrateBrush(point, params.substrateTool, delta);
+    }
+}
+
+// 中心 center から半径 brushRadius の範囲の底床を変える関数
+// 中心ほど強く効き、縁に向かってなめらかに弱くなる
+function applySubstrateBrush(center, tool, delta) {
+    const { columns, rows, heights, weights } = substrate;
+    const radius = params.brushRadius;
+    const amount = params.brushStrength * delta;
+    const cellWidth = substrate.width / (columns - 1);
+    const cellDepth = substrate.depth / (rows - 1);
+    
+    const minColumn = Math.max(0, Math.floor((center.x - radius + substrate.width / 2) / cellWidth));
+    const maxColumn = Math.min(columns - 1, Math.ceil((center.x + radius + substrate.width / 2) / cellWidth));
+    const minRow = Math.max(0, Math.floor((center.z - radius + substrate.depth / 2) / cellDepth));
+    const maxRow = Math.min(rows - 1, Math.ceil((center.z + radius + substrate.depth / 2) / cellDepth));
+    if (minColumn > maxColumn || minRow > maxRow) return;
+    
+    // ならす時は変える前の高さで周りの平均を求める
+    const previous = tool === 'smooth' ? heights.slice() : heights;
+    const materialIndex = SUBSTRATE_MATERIALS.findIndex(material => material.key === params.paintMaterial);
+    
+    for (let row = minRow; row <= maxRow; row++) {
+        for (let column = minColumn; column <= maxColumn; column++) {
+            const distance = Math.hypot(getSubstratePointX(column) - center.x, getSubstratePointZ(row) - center.z);
+            if (distance >= radius) continue;
+            
+            const falloff = (1 - (distance / radius) ** 2) ** 2;
+            const index = row * columns + column;
+            
+            // 上限・下限は動かす向きにだけ効かせる（初期の形には下限より低い所もあり、そこが急に持ち上がらないように）
+            const height = heights[index];
+            if (tool === 'raise') {
+                heights[index] = Math.min(height + amount * falloff, Math.max(height, SUBSTRATE_MAX_HEIGHT));
+            } else if (tool === 'lower') {
+                heights[index] = Math.max(height - amount * falloff, Math.min(height, SUBSTRATE_MIN_HEIGHT));
+            } else if (tool === 'smooth') {
+                let sum = 0;
+                let count = 0;
+                for (let j = Math.max(0, row - 1); j <= Math.min(rows - 1, row + 1); j++) {
+                    for (let i = Math.max(0, column - 1); i <= Math.min(columns - 1, column + 1); i++) {
+                        sum += previous[j * columns + i];
+                        count++;
+                    }
+                }
+                heights[index] += (sum / count - heights[index]) * Math.min(1, amount * falloff * 5);
+            } else if (tool === 'paint') {
+                // 選んだ素材の割合を増やし、合計が1になるようにする
+                const blend = Math.min(1, amount * falloff * 4);
+                for (let m = 0; m < 3; m++) {
+                    const target = m === materialIndex ? 1 : 0;
+                    weights[index * 3 + m] += (target - weights[index * 3 + m]) * blend;
+                }
+            }
+        }
+    }
+    
+    substrate.edited = true;
+    updateSandGeometry();
+    if (tool !== 'paint') {
+        snapObjectsToSand(center, radius);
+    }
+}
+
+// 底床の形が変わった範囲の岩・水草・エアストーンを砂地の高さに合わせる関数（center を省くと全て）
+// 岩に付けたモスは岩と一緒に上下させる
+function snapObjectsToSand(center = null, radius = 0) {
+    const inRange = object => !center ||
+        Math.hypot(object.position.x - center.x, object.position.z - center.z) < radius + 1;
+    // 岩に付けたモスは砂地ではなく岩と一緒に動かす（編集で持ち主が変わっても付いている岩は変わらない）
+    const rockMosses = plants.filter(plant => rocks.includes(plant.userData.rock));
+    
+    rocks.filter(inRange).forEach(rock => {
+        const previousY = rock.position.y;
+        snapToSand(rock);
+        rock.userData.layout.position = rock.position.toArray();
+        
+        const lift = rock.position.y - previousY;
+        rockMosses.filter(moss => moss.userData.rock === rock).forEach(moss => {
+            moss.position.y += lift;
+            moss.userData.layout.position = moss.position.toArray();
+        });
+    });
+    
+    plants.filter(plant => !rockMosses.includes(plant) && inRange(plant)).forEach(plant => {
+        snapToSand(plant);
+        plant.userData.layout.position = plant.position.toArray();
+    });
+    
+    airStones.filter(inRange).forEach(stone => {
+        stone.position.y = getSandHeight(stone.position.x, stone.position.z) + AIR_STONE_HEIGHT;
+        stone.userData.layout.position = stone.position.toArray();
+    });
+    
+    plantBatchesDirty = true;
+    updateObstacles();
+}
+
+// 底床を初期状態（シードから作った形と砂だけの素材）に戻す関数
+function resetSubstrate() {
+    // 高さと素材の配列は作り直されるので、それを参照するジオメトリも作り直す
+    generateSubstrate(substrate.width, substrate.depth, substrate.columns - 1, 0.3, createRandom(deriveSeed('sand')));
+    buildSandGeometry();
+    snapObjectsToSand();
+    saveLayoutToStorage();
+}
+
+// 底床の高さと素材をレイアウトに保存できる形にする関数（高さは 1/1000 単位、素材の割合は 0〜255）
+function encodeSubstrate() {
+    const heights = Int16Array.from(substrate.heights, height => Math.round(height * 1000));
+    const weights = Uint8Array.from(substrate.weights, weight => Math.round(weight * 255));
+    return {
+        columns: substrate.columns,
+        rows: substrate.rows,
+        heights: bytesToBase64(new Uint8Array(heights.buffer)),
+        weights: bytesToBase64(weights)
+    };
+}
+
+// 保存した底床を読み込める形に戻す関数（壊れている場合は例外を投げる）
+function decodeSubstrate(saved) {
+    const { columns, rows, heights, weights } = saved || {};
+    if (!Number.isInteger(columns) || !Number.isInteger(rows) || columns < 2 || rows < 2 ||
+        typeof heights !== 'string' || typeof weights !== 'string') {
+        throw new Error('Invalid substrate in aquarium layout');
+    }
+    
+    const heightBytes = base64ToBytes(heights);
+    const weightBytes = base64ToBytes(weights);
+    if (heightBytes.length !== columns * rows * 2 || weightBytes.length !== columns * rows * 3) {
+        throw new Error('Invalid substrate in aquarium layout');
+    }
+    
+    return {
+        columns,
+        rows,
+        heights: Float32Array.from(new Int16Array(heightBytes.buffer), height => height / 1000),
+        weights: Float32Array.from(weightBytes, weight => weight / 255)
+    };
+}
+
+// 読み込んだ底床を反映する関数（グリッドの大きさが違う場合は反映しない）
+function restoreSubstrate(saved) {
+    if (saved.columns !== substrate.columns || saved.rows !== substrate.rows) return false;
+    
+    substrate.heights.set(saved.heights);
+    substrate.weights.set(saved.weights);
+    substrate.edited = true;
+    updateSandGeometry();
+    return true;
+}
+
+// 編集モードを切り替える関数
+function setEditMode(enabled) {
+    params.editMode = enabled;
+    if (!enabled) {
+        selectEditorObject(null);
+    }
+}
+
+// 岩・水草を選択して操作ハンドルを付ける関数（null で選択解除）
+function selectEditorObject(object) {
+    editorSelection = object;
+    if (!transformControls) return;
+    
+    if (object) {
+        transformControls.attach(object);
+    } else {
+        transformControls.detach();
+    }
+}
+
+// クリックした位置の岩・水草を返す関数
+// 水草はバッチで描画していてメッシュを持たないので、バウンディングボックスで判定する
+function pickHardscape() {
+    let picked = null;
+    let pickedDistance = Infinity;
+    
+    const hit = raycaster.intersectObjects(rocks, true)[0];
+    if (hit) {
+        picked = rocks.find(rock => rock === hit.object || rock.getObjectById(hit.object.id));
+        pickedDistance = hit.distance;
+    }
+    
+    plants.forEach(plant => {
+        _pickBounds.copy(plant.userData.bounds).applyMatrix4(plant.matrixWorld);
+        if (raycaster.ray.intersectBox(_pickBounds, _pickPoint)) {
+            const distance = _pickPoint.distanceTo(raycaster.ray.origin);
+            if (distance < pickedDistance) {
+                picked = plant;
+                pickedDistance = distance;
+            }
+        }
+    });
+    
+    return picked;
+}
+
+const _pickBounds = new THREE.Box3();
+const _pickPoint = new THREE.Vector3();
+
+// 編集モードでのクリック（岩・水草なら選択、砂地ならパレットのものを置く）
+function onEditorClick(event) {
+    // 操作ハンドルの上でのクリックはハンドルに任せる
+    if (transformControls.axis !== null) return;
+    
+    const rect = renderer.domElement.getBoundingClientRect();
+    pointer.set(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(pointer, camera);
+    
+    const picked = pickHardscape();
+    if (picked) {
+        selectEditorObject(picked);
+        return;
+    }
+    
+    const hit = raycaster.intersectObject(sand)[0];
+    if (hit) {
+        selectEditorObject(placeHardscape(params.paletteItem, hit.point));
+    } else {
+        selectEditorObject(null);
+    }
+}
+
+// パレットのものを砂地の指定位置に置く関数
+function placeHardscape(item, point) {
+    const seed = Math.floor(Math.random() * 4294967296);
+    const spec = {
+        ...HARDSCAPE_PALETTE[item].createSpec(createRandom(seed)),
+        position: [point.x, point.y, point.z],
+        seed,
+        owner: 'hardscape'
+    };
+    
+    const object = item === 'lavaRock' ? addRock(spec) : addPlant(spec, new THREE.Color(params.plantColor));
+    onHardscapeChanged(object);
+    return object;
+}
+
+// 岩・水草を動かした後に、配置情報・障害物・バッチを更新して保存する関数
+// 生成されたものでも一度編集したら 'hardscape' にして、作り直しで消えないようにする
+function onHardscapeChanged(object) {
+    snapToSand(object);
+    
+    const spec = object.userData.layout;
+    spec.position = object.position.toArray();
+    spec.rotation = object.rotation.toArray().slice(0, 3);
+    spec.scale = object.scale.toArray();
+    if (spec.owner !== 'hardscape') {
+        spec.owner = 'hardscape';
+        setOwner(object, 'hardscape');
+    }
+    
+    if (plants.includes(object)) {
+        object.updateMatrixWorld(true);
+        plantBatchesDirty = true;
+    }
+    updateObstacles();
+    saveLayoutToStorage();
+}
+
+// 選択中の岩・水草を削除する関数
+function deleteEditorSelection() {
+    const object = editorSelection;
+    if (!object) return;
+    
+    selectEditorObject(null);
+    removeFromScene(object);
+    rocks = rocks.filter(rock => rock !== object);
+    plants = plants.filter(plant => plant !== object);
+    plantBatchesDirty = true;
+    updateObstacles();
+    saveLayoutToStorage();
+}
+
+// 編集モードのキー操作（W/E/R: 移動・回転・拡大、Delete: 削除）
+function onEditorKeyDown(event) {
+    const modes = { w: 'translate', e: 'rotate', r: 'scale' };
+    if (modes[event.key]) {
+        params.transformMode = modes[event.key];
+        transformControls.setMode(params.transformMode);
+    } else if (event.key === 'Delete' || event.key === 'Backspace') {
+        deleteEditorSelection();
+    }
+}
+
+// 岩・水草を動かす操作ハンドルを作る関数
+function createTransformControls() {
+    transformControls = new TransformControls(camera, renderer.domElement);
+    transformControls.setMode(params.transformMode);
+    
+    // ハンドルを動かしている間はカメラを回さない
+    transformControls.addEventListener('dragging-changed', event => {
+        controls.enabled = !event.value;
+        if (!event.value && editorSelection) {
+            onHardscapeChanged(editorSelection);
+        }
+    });
+    
+    // 動かしている間も砂地に沿わせ、水草の描画を追従させる
+    transformControls.addEventListener('objectChange', () => {
+        snapToSand(editorSelection);
+        if (plants.includes(editorSelection)) {
+            plantBatchesDirty = true;
+        }
+    });
+    
+    scene.add(transformControls);
+}
+
+// クリックした位置にいる魚を返す関数（いなければ null）
+function pickFish(event) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    pointer.set(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(pointer, camera);
+    
+    const hit = raycaster.intersectObjects(fishes, true)[0];
+    if (!hit) return null;
+    
+    // 当たったのはヒレや胴体のメッシュなので、魚のグループまで遡る
+    let object = hit.object;
+    while (object && !fishes.includes(object)) {
+        object = object.parent;
+    }
+    return object;
+}
+
+// 魚の発光を強めて選択中であることを示す関数
+function setFishHighlight(fish, highlighted) {
+    fish.traverse(child => {
+        if (child.isMesh) {
+            child.material.emissiveIntensity = highlighted ? 0.9 : 0.2;
+        }
+    });
+}
+
+// 魚を選択してカメラで追いかける関数（null で自由なカメラ操作に戻る）
+function selectFish(fish) {
+    if (selectedFish === fish) return;
+    
+    if (selectedFish) {
+        setFishHighlight(selectedFish, false);
+    }
+    selectedFish = fish;
+    
+    if (fish) {
+        setFishHighlight(fish, true);
+        followZoomTime = FOLLOW_ZOOM_DURATION;
+    }
+    fishInfoPanel.style.display = fish ? 'block' : 'none';
+}
+
+// 追従カメラの設定
+const FOLLOW_SMOOTHING = 4;        // 注視点が魚に追いつく速さ
+const FOLLOW_ZOOM_DURATION = 1.5;  // 選択直後に魚へ寄っていく時間
+let followZoomTime = 0;
+const _followOffset = new THREE.Vector3();
+
+// 注視点を魚に寄せ、カメラは注視点からの相対位置を保って動かす関数
+// 相対位置はOrbitControlsの操作でそのまま変えられるので、追従中も回り込みやズームができる
+function updateFollowCamera(delta) {
+    if (!selectedFish) return;
+    
+    _followOffset.subVectors(camera.position, controls.target);
+    
+    // 選択直後は魚が見やすい距離まで寄る
+    if (followZoomTime > 0) {
+        followZoomTime -= delta;
+        const followDistance = Math.max(selectedFish.userData.size * 12, 2.5);
+        const length = _followOffset.length();
+        _followOffset.setLength(length + (followDistance - length) * (1 - Math.exp(-3 * delta)));
+    }
+    
+    controls.target.lerp(selectedFish.position, 1 - Math.exp(-FOLLOW_SMOOTHING * delta));
+    camera.position.copy(controls.target).add(_followOffset);
+}
+
+// キオスクモードのカメラツアー
+// 水槽に対する相対座標（x, z は水槽の幅・奥行きの半分、y は水の高さに対する割合）で書く
+const CAMERA_TOURS = [
+    {
+        // 正面の外から水槽の前を横切る
+        duration: 24,
+        points: [[-1.1, 0.45, 1.35], [0, 0.6, 1.2], [1.1, 0.45, 1.35]],
+        targets: [[-0.4, 0.3, 0], [0, 0.35, 0], [0.4, 0.3, 0]]
+    },
+    {
+        // 砂地すれすれを奥へ進む
+        duration: 20,
+        points: [[-0.6, 0.15, 0.85], [-0.2, 0.12, 0.2], [0.3, 0.18, -0.4], [0.6, 0.3, -0.8]],
+        targets: [[-0.3, 0.1, 0.4], [0.1, 0.12, -0.2], [0.5, 0.2, -0.8], [0.8, 0.35, -1]]
+    },
+    {
+        // 水面の下から見下ろしながら一周の半分を回る
+        duration: 28,
+        points: [[0.8, 0.8, 0.8], [0.9, 0.75, -0.5], [-0.5, 0.8, -0.9], [-0.9, 0.75, 0.4]],
+        targets: [[0, 0.15, 0], [0, 0.2, 0], [0, 0.15, 0], [0, 0.2, 0]]
+    }
+];
+
+const TOUR_SEGMENT_DURATION = 8;   // 記録したカメラ位置の間を移動する時間
+const TOUR_FOLLOW_DURATION = 14;   // 魚を追いかけるショットの長さ
+const TOUR_GLIDE_DURATION = 16;    // 水草の前を通り過ぎるショットの長さ
+const TOUR_SMOOTHING = 1.5;        // 魚を追うカメラが追いつく速さ
+
+// 画面で記録したカメラ位置（レイアウトと一緒に保存する）
+let cameraTour = [];
+
+// キオスクモードの状態
+const kioskState = {
+    touring: false,   // カメラがツアー中か（操作があるとユーザーに戻す）
+    idleTime: 0,      // 最後の操作からの時間
+    shot: null,       // 再生中のショット
+    shotTime: 0,
+    nextTour: 0       // 次に使う CAMERA_TOURS の番号
+};
+
+const _tourBounds = new THREE.Box3();
+const _tourCenter = new THREE.Vector3();
+const _tourSide = new THREE.Vector3();
+const _tourAlong = new THREE.Vector3();
+const _tourOffset = new THREE.Vector3();
+
+// 水槽に対する相対座標をワールド座標にする関数
+function tourPointToWorld([x, y, z]) {
+    return new THREE.Vector3(x * params.tankWidth / 2, y * params.tankHeight, z * params.tankDepth / 2);
+}
+
+// カメラが水槽の中でガラスや砂地に埋まらないよう位置を制限する関数
+function clampToTank(point) {
+    const halfWidth = params.tankWidth / 2 - 1;
+    const halfDepth = params.tankDepth / 2 - 1;
+    point.x = THREE.MathUtils.clamp(point.x, -halfWidth, halfWidth);
+    point.z = THREE.MathUtils.clamp(point.z, -halfDepth, halfDepth);
+    point.y = THREE.MathUtils.clamp(point.y, getSandHeight(point.x, point.z) + 0.8, params.tankHeight - 1);
+    return point;
+}
+
+// カメラ位置と注視点の列から、曲線に沿って動くショットを作る関数
+function createPathShot(points, targets, duration) {
+    return {
+        type: 'path',
+        path: new THREE.CatmullRomCurve3(points, false, 'centripetal'),
+        targets: new THREE.CatmullRomCurve3(targets, false, 'centripetal'),
+        duration
+    };
+}
+
+// 用意したツアーのショットを作る関数
+function createAuthoredShot() {
+    const tour = CAMERA_TOURS[kioskState.nextTour++ % CAMERA_TOURS.length];
+    return createPathShot(tour.points.map(tourPointToWorld), tour.targets.map(tourPointToWorld), tour.duration);
+}
+
+// 画面で記録したカメラ位置をたどるショットを作る関数
+function createRecordedShot() {
+    return createPathShot(
+        cameraTour.map(point => new THREE.Vector3().fromArray(point.position)),
+        cameraTour.map(point => new THREE.Vector3().fromArray(point.target)),
+        (cameraTour.length - 1) * TOUR_SEGMENT_DURATION
+    );
+}
+
+// ランダムに選んだ水草の前をゆっくり横切るショットを作る関数
+function createPlantGlideShot() {
+    const plant = plants[Math.floor(Math.random() * plants.length)];
+    _tourBounds.copy(plant.userData.bounds).applyMatrix4(plant.matrixWorld);
+    _tourBounds.getCenter(_tourCenter);
+    
+    // 水草の横から少し離れた所を、水草を中心に横切る
+    const angle = Math.random() * Math.PI * 2;
+    const size = _tourBounds.getSize(_tourOffset);
+    const distance = Math.max(size.x, size.z) + 3;
+    _tourSide.set(Math.cos(angle), 0, Math.sin(angle));
+    _tourAlong.set(-_tourSide.z, 0, _tourSide.x);
+    const height = THREE.MathUtils.lerp(_tourBounds.min.y, _tourBounds.max.y, 0.6);
+    
+    const points = [-1, 0, 1].map(side => clampToTank(_tourCenter.clone()
+        .addScaledVector(_tourSide, distance * (side === 0 ? 0.8 : 1))
+        .addScaledVector(_tourAlong, side * 5)
+        .setY(height + side * 0.5)));
+    const targets = [-1, 0, 1].map(side => _tourCenter.clone().addScaledVector(_tourAlong, side * 1.5));
+    return createPathShot(points, targets, TOUR_GLIDE_DURATION);
+}
+
+// ランダムに選んだ魚を後ろから追いかけるショットを作る関数
+function createFishFollowShot() {
+    return {
+        type: 'follow',
+        fish: fishes[Math.floor(Math.random() * fishes.length)],
+        duration: TOUR_FOLLOW_DURATION
+    };
+}
+
+// 次のショットを選ぶ関数（魚を追いかけるのは時々にする）
+function createNextShot() {
+    const choice = Math.random();
+    if (choice < 0.2 && fishes.length > 0) return createFishFollowShot();
+    if (choice < 0.55 && plants.length > 0) return createPlantGlideShot();
+    if (cameraTour.length >= 2 && choice < 0.8) return createRecordedShot();
+    return createAuthoredShot();
+}
+
+// ショットを始める関数（ツアーの開始時は今のカメラ位置から滑らかにつなぐ）
+function startShot(shot, fromCurrentView) {
+    if (fromCurrentView && shot.type === 'path') {
+        shot = createPathShot(
+            [camera.position.clone(), ...shot.path.points],
+            [controls.target.clone(), ...shot.targets.points],
+            shot.duration + TOUR_SEGMENT_DURATION
+        );
+    }
+    kioskState.shot = shot;
+    kioskState.shotTime = 0;
+}
+
+// カメラツアーを開始する関数（GUIとカーソルを隠す）
+function startTour() {
+    kioskState.touring = true;
+    selectFish(null);
+    selectEditorObject(null);
+    document.body.classList.add('kiosk-touring');
+    startShot(createNextShot(), true);
+}
+
+// カメラツアーを止めてユーザーの操作に戻す関数
+function stopTour() {
+    kioskState.touring = false;
+    kioskState.shot = null;
+    document.body.classList.remove('kiosk-touring');
+}
+
+// キオスクモードの切り替え（有効にした後、操作がない時間が続くとツアーが始まる）
+function setKioskMode(enabled) {
+    params.kioskMode = enabled;
+    kioskState.idleTime = 0;
+}
+
+// 何か操作があったらツアーを止め、放置時間を数え直す関数
+function onKioskInput() {
+    kioskState.idleTime = 0;
+    if (kioskState.touring) {
+        stopTour();
+    }
+}
+
+// キオスクモードの毎フレームの処理
+function updateKiosk(delta) {
+    // レイアウトの読み込みなどで無効になった場合もツアーを止める
+    if (!params.kioskMode) {
+        if (kioskState.touring) stopTour();
+        return;
+    }
+    
+    if (!kioskState.touring) {
+        kioskState.idleTime += delta;
+        if (kioskState.idleTime >= params.kioskIdleTimeout) {
+            startTour();
+        }
+        return;
+    }
+    
+    const { shot } = kioskState;
+    kioskState.shotTime += delta * params.tourSpeed;
+    
+    if (shot.type === 'path') {
+        const t = THREE.MathUtils.smootherstep(kioskState.shotTime / shot.duration, 0, 1);
+        camera.position.copy(shot.path.getPointAt(t));
+        controls.target.copy(shot.targets.getPointAt(t));
+    } else if (fishes.includes(shot.fish)) {
+        // 泳ぐ向きの後ろ上から、遅れて追いかける
+        const { fish } = shot;
+        _tourOffset.copy(fish.userData.velocity).setY(0);
+        if (_tourOffset.lengthSq() < 1e-6) _tourOffset.set(0, 0, 1);
+        _tourOffset.setLength(-Math.max(fish.userData.size * 14, 3)).setY(1);
+        clampToTank(_tourCenter.copy(fish.position).add(_tourOffset));
+        
+        const smoothing = 1 - Math.exp(-TOUR_SMOOTHING * delta * params.tourSpeed);
+        camera.position.lerp(_tourCenter, smoothing);
+        controls.target.lerp(fish.position, smoothing * 2);
+    } else {
+        // 追いかけていた魚がいなくなった
+        kioskState.shotTime = shot.duration;
+    }
+    camera.lookAt(controls.target);
+    
+    if (kioskState.shotTime >= shot.duration) {
+        startShot(createNextShot(), false);
+    }
+}
+
+// 今のカメラ位置をツアーの通過点として記録する関数
+function addCameraTourPoint() {
+    cameraTour.push(roundLayoutSpec({ position: camera.position.toArray(), target: controls.target.toArray() }));
+    saveLayoutToStorage();
+}
+
+// 記録したツアーの通過点を消す関数
+function clearCameraTour() {
+    cameraTour = [];
+    saveLayoutToStorage();
+}
+
+// 選択中の魚の情報を表示するパネルを作る関数
+function createFishInfoPanel() {
+    fishInfoPanel = document.createElement('div');
+    fishInfoPanel.id = 'fish-info';
+    fishInfoPanel.style.display = 'none';
+    document.body.appendChild(fishInfoPanel);
+}
+
+const formatVector = vector => `(${vector.x.toFixed(1)}, ${vector.y.toFixed(1)}, ${vector.z.toFixed(1)})`;
+
+// 情報パネルの内容を更新する関数
+function updateFishInfoPanel() {
+    if (!selectedFish) return;
+    
+    const data = selectedFish.userData;
+    const target = data.chasingFood ? `food ${formatVector(data.chasingFood.position)}` : formatVector(data.currentTarget);
+    const rows = [
+        ['Species', getSpecies(data.species).name],
+        ['Speed', (data.velocity.length() * 60).toFixed(2)],
+        ['Size', (data.size * selectedFish.scale.x).toFixed(2)],
+        ['Age', `${Math.floor(data.age)}s`],
+        ['Hunger', `${Math.round(data.hunger * 100)}%`],
+        ['Energy', `${Math.round(data.energy * 100)}%`],
+        ['Target', target]
+    ];
+    fishInfoPanel.innerHTML = rows.map(([label, value]) => `<div><span>${label}</span>${value}</div>`).join('') +
+        '<div class="hint">Esc: free camera</div>';
+}
+
+// 群れ行動の計算で使い回す一時ベクトル
+const _separation = new THREE.Vector3();
+const _alignment = new THREE.Vector3();
+const _cohesion = new THREE.Vector3();
+const _avoidance = new THREE.Vector3();
+const _steering = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+const _closestPoint = new THREE.Vector3();
+const _forwardAxis = new THREE.Vector3(1, 0, 0);
+const _heading = new THREE.Vector3();
+const _headingQuaternion = new THREE.Quaternion();
+const _swimBounds = new THREE.Box3();
+const _drift = new THREE.Vector3();
+const _chaseTarget = new THREE.Vector3();
+const _foodColor = new THREE.Color();
+const _waterPlane = new THREE.Plane();
+const _planeNormal = new THREE.Vector3(0, 1, 0);
+const _feedPoint = new THREE.Vector3();
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+
+// 目標速度と現在の速度の差を操舵力として返す（Reynoldsのステアリング）
+function steerTowards(desired, velocity, maxSpeed) {
+    if (desired.lengthSq() === 0) return desired;
+    return desired.setLength(maxSpeed).sub(velocity);
+}
+
+// 周囲の魚と障害物から群れ行動の操舵力を計算する関数
+function computeFlocking(fish, maxSpeed, target, seekWeight = 1) {
+    const { velocity, species, size } = fish.userData;
+    
+    _separation.set(0, 0, 0);
+    _alignment.set(0, 0, 0);
+    _cohesion.set(0, 0, 0);
+    _avoidance.set(0, 0, 0);
+    let schoolCount = 0;
+    
+    fishes.forEach(other => {
+        if (other === fish) return;
+        
+        _offset.subVectors(fish.position, other.position);
+        const distance = _offset.length();
+        
+        // 分離: 種類に関係なく近すぎる魚から離れる
+        if (distance > 0 && distance < params.separationRadius) {
+            _separation.addScaledVector(_offset, 1 / (distance * distance));
+        }
+        
+        // 整列・結合: 同じ種類の魚とだけ群れを作る
+        if (other.userData.species === species && distance < params.neighborRadius) {
+            _alignment.add(other.userData.velocity);
+            _cohesion.add(other.position);
+            schoolCount++;
+        }
+    });
+    
+    steerTowards(_separation, velocity, maxSpeed);
+    
+    // 群れを作る傾向は種類によって異なる
+    const { schooling } = getSpecies(species);
+    
+    if (schoolCount > 0) {
+        steerTowards(_alignment.divideScalar(schoolCount), velocity, maxSpeed);
+        steerTowards(_cohesion.divideScalar(schoolCount).sub(fish.position), velocity, maxSpeed);
+    }
+    
+    // 障害物回避: バウンディングボックスの最も近い点から押し返す
+    const avoidRadius = size + 0.5;
+    obstacles.forEach(box => {
+        box.clampPoint(fish.position, _closestPoint);
+        _offset.subVectors(fish.position, _closestPoint);
+        const distance = _offset.length();
+        
+        if (distance >= avoidRadius) return;
+        
+        if (distance === 0) {
+            // ボックスの内側に入り込んだ場合は中心から外へ
+            box.getCenter(_closestPoint);
+            _offset.subVectors(fish.position, _closestPoint);
+            _offset.y = 0;
+        }
+        _avoidance.addScaledVector(_offset.normalize(), 1 - distance / avoidRadius);
+    });
+    steerTowards(_avoidance, velocity, maxSpeed);
+    
+    // 目標地点へ向かう力（徘徊・餌を追う）
+    _steering.subVectors(target, fish.position);
+    steerTowards(_steering, velocity, maxSpeed).multiplyScalar(seekWeight);
+    
+    return _steering
+        .addScaledVector(_separation, params.separationWeight)
+        .addScaledVector(_alignment, params.alignmentWeight * schooling)
+        .addScaledVector(_cohesion, params.cohesionWeight * schooling)
+        .addScaledVector(_avoidance, params.avoidanceWeight);
+}
+
+// 魚の泳ぎのシェーダーのユニフォームを更新する関数
+// speedRatio: 最高速度に対する今の速さ、turnRate: 左右の旋回速度（ラジアン/秒）
+function updateSwimAnimation(fish, speedRatio, turnRate, delta) {
+    const { swimUniforms, tailSpeed } = fish.userData;
+    
+    // 速く泳ぐほど尾を速く大きく振る
+    swimUniforms.swimPhase.value += delta * tailSpeed * (0.5 + speedRatio);
+    swimUniforms.swimAmplitude.value = 0.04 + 0.08 * speedRatio;
+    
+    // 胸びれは尾よりゆっくり羽ばたかせる
+    swimUniforms.swimFlap.value = 0.3 + 0.25 * Math.sin(swimUniforms.swimPhase.value * 0.5);
+    
+    // 旋回している側へ尾が曲がる（急な変化はなめらかにする）
+    const targetBend = THREE.MathUtils.clamp(-turnRate * 0.15, -0.3, 0.3);
+    swimUniforms.swimBend.value += (targetBend - swimUniforms.swimBend.value) * Math.min(1, delta * 5);
+}
+
+// 魚が底床から保つ距離
+const FISH_FLOOR_CLEARANCE = 0.6;
+
+// 魚のアニメーション
+function animateFishes(time, delta) {
+    // 水槽の制限範囲
+    const swimBounds = getSwimBounds(_swimBounds);
+    
+    // 速度は60fps基準のフレーム単位なので経過時間で補正する
+    const frameScale = delta * 60;
+    
+    fishes.forEach(fish => {
+        const { speed, turnSpeed, targetPosition, currentTarget, species, velocity } = fish.userData;
+        
+        // 新しく加わった魚のフェードイン
+        updateFishAppearance(fish, delta);
+        
+        // ランダムな時間ごとに新しい目標地点を設定
+        if (time > fish.userData.timeToNewTarget) {
+            // 水槽内のランダムな位置を目標に（高さは種類ごとの好む深さの範囲内）
+            // 夜は底の方へ下がって休む
+            const [minDepth, maxDepth] = getSpecies(species).depthBand;
+            const depth = THREE.MathUtils.lerp(minDepth, maxDepth, Math.random()) * (1 - 0.6 * (1 - dayState.daylight));
+            targetPosition.set(
+                THREE.MathUtils.lerp(swimBounds.min.x, swimBounds.max.x, Math.random()),
+                THREE.MathUtils.lerp(swimBounds.min.y, swimBounds.max.y, depth),
+                THREE.MathUtils.lerp(swimBounds.min.z, swimBounds.max.z, Math.random())
+            );
+            
+            // 水槽の境界内に制限し、盛り上げた底床には潜らせない
+            swimBounds.clampPoint(targetPosition, targetPosition);
+            targetPosition.y = Math.max(targetPosition.y, getSandHeight(targetPosition.x, targetPosition.z) + FISH_FLOOR_CLEARANCE * 2);
+            
+            // 次の目標変更までの時間
+            fish.userData.timeToNewTarget = time + 3 + Math.random() * 5;
+            
+            // 現在の目標位置を更新
+            currentTarget.copy(targetPosition);
+        }
+        
+        // 近くに餌があれば徘徊をやめて追いかける（届かない位置の餌は泳げる範囲の最も近い点を目指す）
+        const food = findNearestFood(fish.position, FOOD_DETECTION_RADIUS);
+        fish.userData.chasingFood = food;
+        if (food) {
+            swimBounds.clampPoint(food.position, _chaseTarget);
+            fish.userData.eatCooldown = Math.max((fish.userData.eatCooldown || 0) - delta, 0);
+            if (fish.userData.eatCooldown === 0 && fish.position.distanceTo(_chaseTarget) < fish.userData.size * fish.scale.x * 0.5 + 0.3) {
+                food.eaten = true;
+                fish.userData.eatCooldown = FOOD_EAT_INTERVAL;
+                feedFish(fish);
+            }
+        }
+        
+        // 群れ行動・障害物回避・徘徊を合成した操舵力で速度を更新（弱った魚と夜はゆっくり泳ぐ）
+        const maxSpeed = speed * 0.05 * (food ? 1.6 : 1) * (0.5 + 0.5 * fish.userData.energy) * (1 - 0.5 * (1 - dayState.daylight));
+        const steering = food ?
+            computeFlocking(fish, maxSpeed, _chaseTarget, 3) :
+            computeFlocking(fish, maxSpeed, currentTarget);
+        
+        // 水槽の境界の外に出た場合は内側へ戻る力を加える
+        swimBounds.clampPoint(fish.position, _offset).sub(fish.position);
+        if (_offset.lengthSq() > 0) {
+            steering.add(steerTowards(_offset, velocity, maxSpeed));
+        }
+        
+        // 底床に近づきすぎたら上へ逃げる
+        const clearance = getSandHeight(fish.position.x, fish.position.z) + FISH_FLOOR_CLEARANCE - fish.position.y;
+        if (clearance > 0) {
+            steering.add(steerTowards(_offset.set(0, clearance, 0), velocity, maxSpeed));
+        }
+        
+        const previousYaw = Math.atan2(-velocity.z, velocity.x);
+        velocity.addScaledVector(steering, turnSpeed * frameScale);
+        velocity.clampLength(maxSpeed * 0.3, maxSpeed);
+        
+        // 速さと旋回の強さから泳ぎの動き（シェーダー）を更新
+        const yawChange = Math.atan2(-velocity.z, velocity.x) - previousYaw;
+        const turnRate = Math.atan2(Math.sin(yawChange), Math.cos(yawChange)) / Math.max(delta, 1e-3);
+        updateSwimAnimation(fish, velocity.length() / maxSpeed, turnRate, delta);
+        
+        // 魚を前進させ、水流で少し流す
+        fish.position.addScaledVector(velocity, frameScale);
+        fish.position.addScaledVector(getCurrentAt(fish.position, time, _drift), delta * 0.5);
+        
+        // 進行方向に滑らかに向ける
+        _heading.copy(velocity).normalize();
+        _headingQuaternion.setFromUnitVectors(_forwardAxis, _heading);
+        fish.quaternion.slerp(_headingQuaternion, Math.min(1, 0.1 * frameScale));
+    });
+}
+
+// 配置情報から魚を1匹作成してシーンに追加する関数
+// spec: { size, bodyColor, finColor, species, position, rotationY, seed }
+function addFish(spec) {
+    const position = new THREE.Vector3().fromArray(spec.position);
+    const fish = createFish(spec.size, spec.bodyColor, spec.finColor, position, spec.species, createRandom(spec.seed));
+    fish.userData.layout = spec;
+    
+    // 保存されていた一生の状態（稚魚は小さく表示する）
+    ['age', 'hunger', 'energy', 'growth'].forEach(key => {
+        if (typeof spec[key] === 'number') fish.userData[key] = spec[key];
+    });
+    fish.scale.setScalar(getFishScale(fish.userData.growth));
+    
+    // 魚の向き
+    fish.rotation.y = spec.rotationY;
+    fish.userData.velocity.set(1, 0, 0).applyQuaternion(fish.quaternion).multiplyScalar(fish.userData.speed * 0.05);
+    
+    applyCaustics(fish);
+    addToScene(fish, 'fishes');
+    fishes.push(fish);
+    return fish;
+}
+
+// 種類の混合比率に従って種類を選ぶ関数（全て0の場合は均等に選ぶ）
+function pickSpecies(random) {
+    const keys = Object.keys(fishSpecies);
+    const weights = keys.map(key => Math.max(0, params.speciesMix[key] || 0));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total === 0) {
+        return keys[Math.floor(random() * keys.length)];
+    }
+    
+    let pick = random() * total;
+    for (let i = 0; i < keys.length; i++) {
+        pick -= weights[i];
+        if (pick < 0) return keys[i];
+    }
+    return keys[keys.length - 1];
+}
+
+// index番目の魚の配置情報を作る関数
+// 魚ごとにシードを分けるので、1匹ずつ追加しても一括生成と同じ魚になる
+function createFishSpec(index) {
+    const random = createRandom(deriveSeed(`fish:${index}`));
+    
+    const species = pickSpecies(random);
+    const { colors, sizeRange, depthBand } = fishSpecies[species];
+    const { body, fin } = colors[Math.floor(random() * colors.length)];
+    
+    const size = THREE.MathUtils.lerp(sizeRange[0], sizeRange[1], random());
+    
+    // 水槽内（泳げる範囲）のランダムな位置（高さは種類ごとの好む深さ）
+    const { min, max } = getSwimBounds();
+    const position = [
+        THREE.MathUtils.lerp(min.x, max.x, random()),
+        THREE.MathUtils.lerp(min.y, max.y, THREE.MathUtils.lerp(depthBand[0], depthBand[1], random())),
+        THREE.MathUtils.lerp(min.z, max.z, random())
+    ];
+    
+    // 魚の向きをランダムに
+    return {
+        size,
+        bodyColor: body,
+        finColor: fin,
+        species,
+        position,
+        rotationY: random() * Math.PI * 2,
+        seed: randomSeed(random)
+    };
+}
+
+// オブジェクトが持つジオメトリとマテリアル（テクスチャを含む）を解放する関数
+function disposeObject(object) {
+    const materials = new Set();
+    object.traverse(child => {
+        if (child.geometry) {
+            child.geometry.dispose();
+        }
+        if (child.material) {
+            (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => materials.add(material));
+        }
+        if (child.customDepthMaterial) {
+            materials.add(child.customDepthMaterial);
+        }
+    });
+    
+    materials.forEach(material => {
+        Object.values(material).forEach(value => {
+            if (value && value.isTexture) {
+                value.dispose();
+            }
+        });
+        material.dispose();
+    });
+}
+
+// シーンに追加したオブジェクトを持ち主（'plants'、'rocks'、'fishes' など）ごとに記録する
+// 作り直すときは持ち主ごとにまとめて取り除き、GPUリソースも解放する
+const sceneRegistry = new Map();
+
+// オブジェクトを持ち主付きでシーンに追加する関数
+function addToScene(object, owner) {
+    if (!sceneRegistry.has(owner)) {
+        sceneRegistry.set(owner, new Set());
+    }
+    sceneRegistry.get(owner).add(object);
+    object.userData.owner = owner;
+    scene.add(object);
+    return object;
+}
+
+// オブジェクトをシーンから取り除いて解放する関数
+function removeFromScene(object) {
+    if (object === editorSelection) {
+        selectEditorObject(null);
+    }
+    const owned = sceneRegistry.get(object.userData.owner);
+    if (owned) {
+        owned.delete(object);
+    }
+    scene.remove(object);
+    disposeObject(object);
+}
+
+// オブジェクトの持ち主を変える関数
+function setOwner(object, owner) {
+    const owned = sceneRegistry.get(object.userData.owner);
+    if (owned) {
+        owned.delete(object);
+    }
+    if (!sceneRegistry.has(owner)) {
+        sceneRegistry.set(owner, new Set());
+    }
+    sceneRegistry.get(owner).add(object);
+    object.userData.owner = owner;
+}
+
+// 持ち主が持つ全てのオブジェクトを取り除いて解放する関数
+function disposeOwner(owner) {
+    const owned = sceneRegistry.get(owner);
+    if (owned) {
+        [...owned].forEach(removeFromScene);
+    }
+}
+
+// 魚をシーンから取り除いてGPUリソースを解放する関数
+function removeFish(fish) {
+    if (fish === selectedFish) {
+        selectFish(null);
+    }
+    removeFromScene(fish);
+    fishes = fishes.filter(other => other !== fish);
+}
+
+// 魚を作成する関数を追加
+function createFishes() {
+    // 初期の魚を削除
+    [...fishes].forEach(removeFish);
+    clearDeadFishes();
+    
+    // 新しい魚を追加
+    for (let i = 0; i < params.fishCount; i++) {
+        addFish(createFishSpec(i));
+    }
+}
+
+// 魚の出現演出の時間（秒）
+const FISH_APPEAR_DURATION = 1.5;
+
+// 新しく加わった魚を水槽の横から泳ぎ入らせ、フェードインさせる関数
+function startFishAppearance(fish) {
+    const { min, max } = getSwimBounds();
+    
+    // 左右どちらかの壁際から、水槽の中央に向かって泳ぎ出す
+    const fromLeft = Math.random() < 0.5;
+    fish.position.set(
+        fromLeft ? min.x : max.x,
+        THREE.MathUtils.lerp(min.y, max.y, Math.random()),
+        THREE.MathUtils.lerp(min.z, max.z, Math.random())
+    );
+    fish.rotation.set(0, fromLeft ? 0 : Math.PI, 0);
+    fish.userData.velocity.set(fromLeft ? 1 : -1, 0, 0).multiplyScalar(fish.userData.speed * 0.05);
+    fish.userData.layout.position = fish.position.toArray();
+    
+    // マテリアルを一時的に透明にする（元の設定は終了時に戻す）
+    fish.userData.appear = 0;
+    fish.traverse(child => {
+        if (child.material && !child.material.userData.appearBase) {
+            child.material.userData.appearBase = {
+                transparent: child.material.transparent,
+                opacity: child.material.opacity
+            };
+            child.material.transparent = true;
+            child.material.opacity = 0;
+        }
+    });
+}
+
+// 出現演出中の魚の不透明度を更新する関数
+function updateFishAppearance(fish, delta) {
+    if (fish.userData.appear === undefined) return;
+    
+    fish.userData.appear = Math.min(1, fish.userData.appear + delta / FISH_APPEAR_DURATION);
+    const finished = fish.userData.appear >= 1;
+    
+    fish.traverse(child => {
+        const base = child.material && child.material.userData.appearBase;
+        if (!base) return;
+        
+        child.material.opacity = base.opacity * fish.userData.appear;
+        if (finished) {
+            child.material.transparent = base.transparent;
+            delete child.material.userData.appearBase;
+        }
+    });
+    
+    if (finished) {
+        delete fish.userData.appear;
+    }
+}
+
+// 魚の数をGUIの値に合わせて1匹ずつ増減する関数（既存の魚はそのまま）
+function setFishCount(count) {
+    while (fishes.length < count) {
+        startFishAppearance(addFish(createFishSpec(fishes.length)));
+    }
+    while (fishes.length > count) {
+        removeFish(fishes[fishes.length - 1]);
+    }
+}
+
+// GUIの速さを泳いでいる魚に反映する関数
+function updateFishSpeed() {
+    fishes.forEach(fish => {
+        fish.userData.speed = params.fishSpeed * fish.userData.speedFactor;
+    });
+}
+
+// 魚の一生の設定（秒は lifeSpeed を掛けた水槽内の時間）
+const FISH_LIFESPAN = [900, 1500];  // 寿命
+const FRY_SCALE = 0.35;             // 生まれたばかりの稚魚の大きさ（成魚に対する比）
+const FRY_GROWTH_TIME = 300;        // 稚魚が成魚になるまでの時間
+const HUNGER_RATE = 1 / 600;        // 1秒あたりの空腹の増え方
+const STARVING_HUNGER = 0.8;        // これより空腹だと体力が減っていく
+const STARVING_ENERGY_LOSS = 1 / 180;
+const ENERGY_RECOVERY = 1 / 120;    // 空腹でないときの体力の回復
+const FOOD_NUTRITION = 0.3;         // 餌1粒で減る空腹
+const BREED_CHANCE = 0.02;          // 条件を満たしたペアが1秒あたりに繁殖する確率
+const BREED_COOLDOWN = 180;         // 繁殖してから次に繁殖できるまでの時間
+const MAX_POPULATION = 60;          // 繁殖で増えられる上限（Fish Count の最大値と同じ）
+const DEAD_FISH_REST_TIME = 8;      // 底に沈んでから消えるまでの時間（実時間）
+
+// 個体数の統計（GUIに表示する）
+const populationStats = {
+    population: 0,
+    fry: 0,
+    births: 0,
+    deaths: 0,
+    averageHunger: 0
+};
+
+// 成長の度合いから魚の大きさの倍率を求める関数
+function getFishScale(growth) {
+    return THREE.MathUtils.lerp(FRY_SCALE, 1, growth);
+}
+
+// 餌を食べた魚の空腹を減らす関数
+function feedFish(fish) {
+    fish.userData.hunger = Math.max(0, fish.userData.hunger - FOOD_NUTRITION);
+}
+
+// 繁殖できる状態か（成魚で、空腹でなく、体力がある）
+function canBreed(fish) {
+    const { growth, hunger, energy, breedCooldown } = fish.userData;
+    return growth >= 1 && hunger < 0.3 && energy > 0.8 && breedCooldown <= 0;
+}
+
+// 2匹の親から稚魚を生む関数
+function spawnFry(parent, partner) {
+    const count = Math.min(1 + Math.floor(Math.random() * 3), MAX_POPULATION - fishes.length);
+    
+    for (let i = 0; i < count; i++) {
+        // 色は片方の親から、大きさは両親の平均から受け継ぐ
+        const colorParent = Math.random() < 0.5 ? parent : partner;
+        const { size, bodyColor, finColor, species } = colorParent.userData.layout;
+        const fry = addFish({
+            size: (parent.userData.size + partner.userData.size) / 2 * (0.9 + Math.random() * 0.2),
+            bodyColor,
+            finColor,
+            species,
+            position: parent.position.toArray(),
+            rotationY: Math.random() * Math.PI * 2,
+            seed: Math.floor(Math.random() * 4294967296),
+            hunger: 0,
+            growth: 0
+        });
+        fry.userData.breedCooldown = BREED_COOLDOWN;
+        populationStats.births++;
+    }
+    
+    // 繁殖すると親は空腹になり、しばらく繁殖しない
+    [parent, partner].forEach(fish => {
+        fish.userData.hunger += 0.2;
+        fish.userData.breedCooldown = BREED_COOLDOWN;
+    });
+}
+
+// 魚を死なせて沈ませる関数（群れからは外す）
+function killFish(fish) {
+    if (fish === selectedFish) {
+        selectFish(null);
+    }
+    fishes = fishes.filter(other => other !== fish);
+    fish.userData.deadTime = 0;
+    deadFishes.push(fish);
+    populationStats.deaths++;
+}
+
+// 死んだ魚を腹を上にして底まで沈ませ、しばらくしたら消す関数
+function updateDeadFishes(delta) {
+    deadFishes.forEach(fish => {
+        updateSwimAnimation(fish, 0, 0, delta * 0.2);
+        fish.rotation.z += (Math.PI - fish.rotation.z) * Math.min(1, delta);
+        
+        const floor = getSandHeight(fish.position.x, fish.position.z) + 0.2;
+        const restY = floor + fish.userData.size * fish.scale.x * 0.3;
+        if (fish.position.y > restY) {
+            fish.position.y = Math.max(restY, fish.position.y - delta * 0.6);
+            return;
+        }
+        
+        // 底に着いたらフェードアウト
+        fish.userData.deadTime += delta;
+        const fade = 1 - fish.userData.deadTime / DEAD_FISH_REST_TIME;
+        fish.traverse(child => {
+            if (child.material) {
+                child.material.transparent = true;
+                child.material.opacity = Math.max(0, Math.min(child.material.opacity, fade));
+            }
+        });
+    });
+    
+    deadFishes = deadFishes.filter(fish => {
+        if (fish.userData.deadTime < DEAD_FISH_REST_TIME) return true;
+        removeFromScene(fish);
+        return false;
+    });
+}
+
+// 沈んでいる途中の魚を全て片付ける関数
+function clearDeadFishes() {
+    deadFishes.forEach(removeFromScene);
+    deadFishes = [];
+}
+
+// 空腹・体力・成長・繁殖・死を進める関数
+function updateLifecycle(delta) {
+    updateDeadFishes(delta);
+    
+    if (params.lifecycle) {
+        const lifeDelta = delta * params.lifeSpeed;
+        
+        [...fishes].forEach(fish => {
+            const data = fish.userData;
+            data.age += lifeDelta;
+            data.hunger = Math.min(1, data.hunger + HUNGER_RATE * lifeDelta);
+            data.breedCooldown -= lifeDelta;
+            
+            // 飢えると体力が減り、食べていれば回復する
+            if (data.hunger > STARVING_HUNGER) {
+                data.energy -= STARVING_ENERGY_LOSS * lifeDelta;
+            } else if (data.hunger < 0.5) {
+                data.energy = Math.min(1, data.energy + ENERGY_RECOVERY * lifeDelta);
+            }
+            
+            // 稚魚の成長
+            if (data.growth < 1) {
+                data.growth = Math.min(1, data.growth + lifeDelta / FRY_GROWTH_TIME);
+                fish.scale.setScalar(getFishScale(data.growth));
+            }
+            
+            if (data.energy <= 0 || data.age > data.lifespan) {
+                killFish(fish);
+            }
+        });
+        
+        // 近くにいる同じ種類の元気な成魚同士がときどき繁殖する
+        const breeders = fishes.filter(canBreed);
+        breeders.forEach(fish => {
+            if (!canBreed(fish) || fishes.length >= MAX_POPULATION || Math.random() > BREED_CHANCE * lifeDelta) return;
+            
+            const partner = breeders.find(other => other !== fish && canBreed(other) &&
+                other.userData.species === fish.userData.species &&
+                other.position.distanceTo(fish.position) < params.neighborRadius * 1.5);
+            if (partner) {
+                spawnFry(fish, partner);
+            }
+        });
+        
+        // 生まれたり死んだりした後の数を Fish Count に表示する（スライダーはそこから増減する）
+        params.fishCount = fishes.length;
+    }
+    
+    // 統計を更新する
+    populationStats.population = fishes.length;
+    populationStats.fry = fishes.filter(fish => fish.userData.growth < 1).length;
+    populationStats.averageHunger = fishes.length ?
+        fishes.reduce((sum, fish) => sum + fish.userData.hunger, 0) / fishes.length : 0;
+}
+
+// GUIで変えられるパラメータの範囲と選択肢（GUIの作成とレイアウトの読み込みの両方で使う）
+// 数値は [最小, 最大, 刻み（省略時は自動）]、選択肢は { 表示名: 値 }、入れ子のオブジェクトは中の値それぞれの範囲
+const CAPTURE_RESOLUTION_OPTIONS = { Window: 'window', '720p': '720p', '1080p': '1080p', '1440p': '1440p', '4K': '4k', '8K': '8k' };
+const PARAM_LIMITS = {
+    waterOpacity: [0.05, 0.5],
+    lightIntensity: [0.5, 3.0],
+    timeOfDay: [0, 24],
+    timeScale: { 'Real Time': 1, '1 min = 1 h': 60, '10 s = 1 h': 360, '1 s = 1 h': 3600 },
+    lightsOn: [0, 23, 0.5],
+    photoperiod: [2, 16, 0.5],
+    sunY: [5, 60],
+    numLightShafts: [0, 20, 1],
+    lightShaftOpacity: [0, 1],
+    causticScale: [0.02, 0.5],
+    causticSpeed: [0, 3],
+    causticIntensity: [0, 2],
+    currentDirection: [0, 360],
+    currentStrength: [0, 2],
+    currentTurbulence: [0, 2],
+    pelletsPerDrop: [1, 40, 1],
+    plantDensity: [0.1, 10.0],
+    plantVariety: [1, 5, 1],
+    fishCount: [0, MAX_POPULATION, 1],
+    fishSpeed: [0.1, 3.0],
+    speciesMix: [0, 1],
+    lifeSpeed: [0, 20],
+    airStoneCount: [0, 8, 1],
+    bubbleRate: [0, 40],
+    bubbleSize: [0.02, 0.15],
+    separationWeight: [0, 5],
+    alignmentWeight: [0, 5],
+    cohesionWeight: [0, 5],
+    avoidanceWeight: [0, 5],
+    neighborRadius: [0.5, 8],
+    separationRadius: [0.2, 4],
+    tankWidth: [10, 60, 1],
+    tankDepth: [10, 40, 1],
+    tankHeight: [6, 24, 1],
+    substrateTool: SUBSTRATE_TOOLS,
+    brushRadius: [0.5, 6],
+    brushStrength: [0.1, 3],
+    paintMaterial: Object.fromEntries(SUBSTRATE_MATERIALS.map(material => [material.name, material.key])),
+    seed: [0, 999999, 1],
+    paletteItem: Object.fromEntries(Object.entries(HARDSCAPE_PALETTE).map(([key, item]) => [item.name, key])),
+    transformMode: { Move: 'translate', Rotate: 'rotate', Scale: 'scale' },
+    quality: { Auto: 'auto', Low: 'low', Medium: 'medium', High: 'high', Ultra: 'ultra' },
+    shadowType: { Hard: 'basic', PCF: 'pcf', 'Soft (PCF)': 'pcfSoft', 'Soft (VSM)': 'vsm' },
+    shadowMapSize: { 'From Quality': 0, 512: 512, 1024: 1024, 2048: 2048, 4096: 4096 },
+    shadowRadius: [1, 10],
+    screenshotResolution: CAPTURE_RESOLUTION_OPTIONS,
+    videoResolution: CAPTURE_RESOLUTION_OPTIONS,
+    videoFps: { 24: 24, 30: 30, 60: 60 },
+    videoDuration: [1, 120, 1],
+    kioskIdleTimeout: [5, 300, 5],
+    tourSpeed: [0.25, 3]
+};
+
+// PARAM_LIMITS の範囲・選択肢でパラメータのGUIを追加する関数
+function addParamController(folder, key) {
+    const limits = PARAM_LIMITS[key];
+    return Array.isArray(limits) ? folder.add(params, key, ...limits) : folder.add(params, key, limits);
+}
+
+// init関数の追加
+function init() {
+    scene = new THREE.Scene();
+    scene.background = new THREE.Color(0x111122); // 暗い背景でコントラストを強調
+    clock = new THREE.Clock();
+
+    // カメラ
     camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 1000);
     camera.position.set(0, params.cameraY, params.cameraZ);
 
     // レンダラー
     renderer = new THREE.WebGLRenderer({ antialias: true });
     renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(window.devicePixelRatio);
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, QUALITY_PRESETS[currentQuality].maxPixelRatio));
     document.body.appendChild(renderer.domElement);
 
     // コントロール
@@ -748,130 +4714,93 @@ function init() {
     controls.target.set(0, 0, 0);
 
     // ライト設定
-    scene.add(new THREE.AmbientLight(0xffffff, 1.2)); // 環境光
+    ambientLight = new THREE.AmbientLight(0xffffff, 1.2); // 環境光
+    scene.add(ambientLight);
     
     // メインの指向性ライト
-    const mainLight = new THREE.DirectionalLight(0xffffff, params.lightIntensity);
+    mainLight = new THREE.DirectionalLight(0xffffff, params.lightIntensity);
     mainLight.position.set(0, 25, 0);
     mainLight.target.position.set(0, 0, 0);
     scene.add(mainLight);
     scene.add(mainLight.target);
     
     // 補助ライト
-    const fillLight = new THREE.HemisphereLight(0xffffff, 0x444444, 0.8);
+    fillLight = new THREE.HemisphereLight(0xffffff, 0x444444, 0.8);
     scene.add(fillLight);
     
-    // 太陽光の参照は残す（Waterオブジェクトで使用）
+    // 太陽の位置（光柱・コースティクス・水面の反射で使用、時刻に合わせて動かす）
     sun = new THREE.Vector3(0, params.sunY, 0);
 
-    // 水槽サイズを定義
-    const aquariumSize = 30;
-    const aquariumHeight = 16;
-
-    // 水のボリューム表現
-    const waterVolumeGeometry = new THREE.BoxGeometry(aquariumSize, aquariumHeight, aquariumSize);
+    // 水のボリューム表現（ジオメトリは updateTankGeometry で水槽の寸法から作る）
     const waterVolumeMaterial = new THREE.MeshPhysicalMaterial({
         color: new THREE.Color(params.waterColor),
         metalness: 0.0,
         roughness: 0.0,
-        transmission: 0.99,
+        transmission: QUALITY_PRESETS[currentQuality].transmission ? 0.99 : 0,
         transparent: true,
         opacity: params.waterOpacity,
         ior: 1.33,
         attenuationColor: new THREE.Color(0x056f92),
         attenuationDistance: 15.0,
     });
-    waterVolume = new THREE.Mesh(waterVolumeGeometry, waterVolumeMaterial);
-    waterVolume.position.y = aquariumHeight / 2;
+    waterVolume = new THREE.Mesh(new THREE.BufferGeometry(), waterVolumeMaterial);
     scene.add(waterVolume);
 
     // 砂地
-    const sandSize = aquariumSize - 0.5;
-    const sandSegments = 80;
-    const sandHeight = 0.3;
-    const sandGeometry = generateSandGeometry(sandSize, sandSegments, sandHeight);
+    // 色と粗さは底床の素材の割合からシェーダーで決める
     const sandMaterial = new THREE.MeshStandardMaterial({
-        color: 0xfbecc4,
+        color: 0xffffff,
         roughness: 0.8,
         metalness: 0.1,
     });
-    sand = new THREE.Mesh(sandGeometry, sandMaterial);
+    addShaderHook(sandMaterial, 'substrate', substrateHook);
+    sand = new THREE.Mesh(new THREE.BufferGeometry(), sandMaterial);
     sand.rotation.x = -Math.PI / 2;
     sand.position.y = 0.1;
     scene.add(sand);
 
-    // 水面
-    const waterGeometry = new THREE.PlaneGeometry(aquariumSize - 0.5, aquariumSize - 0.5, 32, 32);
-    water = new Water(waterGeometry, {
-        textureWidth: 512,
-        textureHeight: 512,
-        waterNormals: new THREE.TextureLoader().load(
-            'https://threejs.org/examples/textures/waternormals.jpg',
-            function (texture) {
-                texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-            }
-        ),
-        sunDirection: new THREE.Vector3(0, 1, 0),
-        sunColor: 0xffffff,
-        waterColor: new THREE.Color(params.waterColor),
-        distortionScale: 1.5,
-        fog: false,
+    // 水面（反射の解像度は描画品質で決まる）
+    setWaterReflectionSize(QUALITY_PRESETS[currentQuality].reflectionSize);
+    
+    // ガラス・枠・部屋と、水中・水の外の霧
+    createEnclosure();
+    
+    // コースティクステクスチャをロード（水中の全ての面にシェーダーで投影する）
+    causticTexture = loadTextureWithFallback(REMOTE_TEXTURES.caustics, createCausticTexture, texture => {
+        causticTexture = texture;
+        causticUniforms.causticMap.value = texture;
     });
-    water.rotation.x = -Math.PI / 2;
-    water.position.y = aquariumHeight - 0.1;
-    scene.fog = new THREE.FogExp2(0x004466, 0.05);
-    scene.background = new THREE.Color(0x004466);
-    scene.add(water);
+    causticUniforms.causticMap.value = causticTexture;
     
-    // コースティクステクスチャをロード
-    const textureLoader = new THREE.TextureLoader();
-    causticTexture = textureLoader.load(
-        'https://threejs.org/examples/textures/waterdudv.jpg',
-        function(texture) {
-            texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-            texture.repeat.set(5, 5);
-            
-            const causticPlane = new THREE.Mesh(
-                new THREE.PlaneGeometry(aquariumSize - 1, aquariumSize - 1),
-                new THREE.MeshBasicMaterial({
-                    map: texture,
-                    transparent: true,
-                    opacity: 0.2,
-                    blending: THREE.AdditiveBlending,
-                })
-            );
-            causticPlane.rotation.x = -Math.PI / 2;
-            causticPlane.position.y = 0.15; // 砂の上に配置
-            scene.add(causticPlane);
-        }
-    );
+    // 水面の揺らぎと同じ時間でコースティクスと水流を動かす
+    causticUniforms.causticTime = water.material.uniforms['time'];
+    currentUniforms.currentTime = water.material.uniforms['time'];
+    applyCaustics(sand);
+    
+    updateTankGeometry();
+    applyEnclosure();
     
     // レンダラーの設定
     renderer.outputColorSpace = THREE.SRGBColorSpace;
     renderer.toneMapping = THREE.ACESFilmicToneMapping;
     renderer.toneMappingExposure = 1.2;
-    renderer.shadowMap.enabled = true;
-    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    renderer.info.autoReset = false; // 水面の反射の描画でリセットされないよう、animate でリセットする
     
     // 光の反射を強化
-    const reflectionProbe = new THREE.HemisphereLight(
+    reflectionProbe = new THREE.HemisphereLight(
         0xffffff, 0x444444, 1.5
     );
     scene.add(reflectionProbe);
     
     // メインライトに影の設定を追加
+    // 影のカメラの範囲は updateShadowCamera で水槽に合わせる
     mainLight.castShadow = true;
-    mainLight.shadow.mapSize.width = 1024;
-    mainLight.shadow.mapSize.height = 1024;
-    mainLight.shadow.camera.near = 10;
-    mainLight.shadow.camera.far = 40;
-    mainLight.shadow.camera.left = -10;
-    mainLight.shadow.camera.right = 10;
-    mainLight.shadow.camera.top = 10;
-    mainLight.shadow.camera.bottom = -10;
+    mainLight.shadow.bias = -0.0005;
+    mainLight.shadow.normalBias = 0.02;
+    applyShadowSettings();
     
     // 補助ライト
-    const sideLight = new THREE.DirectionalLight(0xffffcc, 1.0);
+    sideLight = new THREE.DirectionalLight(0xffffcc, 1.0);
     sideLight.position.set(15, 8, 0);
     scene.add(sideLight);
     
@@ -880,22 +4809,53 @@ function init() {
     sand.material.emissive = new THREE.Color(0x111111);
 
     // GUI
-    const gui = new GUI();
+    gui = new GUI();
     gui.addColor(params, 'waterColor').name('Water Color').onChange(val => {
         water.material.uniforms.waterColor.value.set(val);
         waterVolume.material.color.set(val);
     });
 
-    gui.add(params, 'waterOpacity', 0.05, 0.5).name('Water Density').onChange(val => {
+    addParamController(gui, 'waterOpacity').name('Water Density').onChange(val => {
         waterVolume.material.opacity = val;
     });
     
     // 光の強度操作
-    gui.add(params, 'lightIntensity', 0.5, 3.0).name('Light Intensity').onChange(val => {
-        mainLight.intensity = val;
-        sideLight.intensity = val * 0.6;
-        reflectionProbe.intensity = val;
+    addParamController(gui, 'lightIntensity').name('Light Intensity').onChange(updateLightIntensity);
+    
+    // 昼夜のサイクル
+    const dayNightFolder = gui.addFolder('Day / Night');
+    dayNightFolder.add(params, 'dayNightCycle').name('Enabled');
+    addParamController(dayNightFolder, 'timeOfDay').name('Time of Day').listen();
+    addParamController(dayNightFolder, 'timeScale').name('Clock Speed');
+    addParamController(dayNightFolder, 'lightsOn').name('Lights On');
+    addParamController(dayNightFolder, 'photoperiod').name('Photoperiod (h)');
+    addParamController(dayNightFolder, 'sunY').name('Sun Height');
+    
+    // 光柱の数と不透明度
+    addParamController(gui, 'numLightShafts').name('Light Shafts').onChange(createLightShafts);
+    addParamController(gui, 'lightShaftOpacity').name('Light Shaft Opacity');
+    
+    // コースティクスのGUI
+    const causticsFolder = gui.addFolder('Caustics');
+    addParamController(causticsFolder, 'causticScale').name('Scale').onChange(val => {
+        causticUniforms.causticScale.value = val;
+    });
+    addParamController(causticsFolder, 'causticSpeed').name('Speed').onChange(val => {
+        causticUniforms.causticSpeed.value = val;
     });
+    addParamController(causticsFolder, 'causticIntensity').name('Intensity');
+    
+    // 水流のGUI
+    const currentFolder = gui.addFolder('Water Current');
+    addParamController(currentFolder, 'currentDirection').name('Direction').onChange(updateCurrent);
+    addParamController(currentFolder, 'currentStrength').name('Strength').onChange(updateCurrent);
+    addParamController(currentFolder, 'currentTurbulence').name('Turbulence').onChange(updateCurrent);
+    updateCurrent();
+    
+    // 餌やりのGUI
+    const feedingFolder = gui.addFolder('Feeding');
+    feedingFolder.add(params, 'feedingMode').name('Click Water to Feed');
+    addParamController(feedingFolder, 'pelletsPerDrop').name('Pellets per Drop');
     
     // カメラ位置を調整
     camera.position.set(0, 4, 12);
@@ -905,43 +4865,192 @@ function init() {
     // 環境設定のGUI
     const environmentFolder = gui.addFolder('Environment');
     
-    environmentFolder.add(params, 'plantDensity', 0.1, 10.0).name('Plant Density').onChange(val => {
-        createPlants(aquariumSize);
-        createRocks(aquariumSize);
+    addParamController(environmentFolder, 'plantDensity').name('Plant Density').onChange(val => {
+        createPlants();
+        createRocks();
     });
     
-    environmentFolder.add(params, 'plantVariety', 1, 5).step(1).name('Plant Variety').onChange(val => {
-        createPlants(aquariumSize);
+    addParamController(environmentFolder, 'plantVariety').name('Plant Variety').onChange(val => {
+        createPlants();
     });
     
     // 水草の色
-    const vibrantGreen = new THREE.Color(0x9900ff);
-    environmentFolder.addColor({plantColor: '#0x9900ff'}, 'plantColor').name('Plant Color').onChange(val => {
-        plants.forEach(plant => {
-            plant.traverse(child => {
-                if (child instanceof THREE.Mesh && child.material) {
-                    if (child.material.color) {
-                        if (child.material.color.g > 0.5) {
-                            child.material.color.set(val);
-                        } else {
-                            const stemColor = new THREE.Color(val);
-                            stemColor.multiplyScalar(0.7);
-                            child.material.color.set(stemColor);
-                        }
-                    }
-                } else if (child instanceof THREE.Points && child.material) {
-                    child.material.color.set(val);
-                }
-            });
-        });
+    environmentFolder.addColor(params, 'plantColor').name('Plant Color').onChange(val => {
+        plants.forEach(plant => plant.userData.color.set(val));
+        plantBatchesDirty = true;
+    });
+
+    // 魚の数と速さのGUI（数の変更は1匹ずつ追加・削除する）
+    const fishFolder = gui.addFolder('Fish');
+    addParamController(fishFolder, 'fishCount').name('Fish Count').onChange(setFishCount).listen();
+    addParamController(fishFolder, 'fishSpeed').name('Fish Speed').onChange(updateFishSpeed);
+
+    // 魚の種類の混合比率（変更すると魚を選び直す）
+    const speciesFolder = fishFolder.addFolder('Species Mix');
+    Object.entries(fishSpecies).forEach(([key, species]) => {
+        speciesFolder.add(params.speciesMix, key, ...PARAM_LIMITS.speciesMix).name(species.name).onFinishChange(createFishes);
+    });
+    
+    // 魚の一生のGUI（統計は表示のみ）
+    const lifeFolder = gui.addFolder('Lifecycle');
+    lifeFolder.add(params, 'lifecycle').name('Enabled');
+    addParamController(lifeFolder, 'lifeSpeed').name('Time Speed');
+    lifeFolder.add(populationStats, 'population').name('Population').listen().disable();
+    lifeFolder.add(populationStats, 'fry').name('Fry').listen().disable();
+    lifeFolder.add(populationStats, 'births').name('Births').listen().disable();
+    lifeFolder.add(populationStats, 'deaths').name('Deaths').listen().disable();
+    lifeFolder.add(populationStats, 'averageHunger', 0, 1).name('Average Hunger').listen().disable();
+    
+    // 泡とエアストーンのGUI
+    const bubbleFolder = gui.addFolder('Bubbles');
+    addParamController(bubbleFolder, 'airStoneCount').name('Air Stones').onChange(setAirStoneCount).listen();
+    addParamController(bubbleFolder, 'bubbleRate').name('Bubble Rate');
+    addParamController(bubbleFolder, 'bubbleSize').name('Bubble Size');
+    bubbleFolder.add(params, 'placeAirStones').name('Click Sand to Place');
+
+    // 群れ行動のGUI
+    const schoolingFolder = gui.addFolder('Schooling');
+    addParamController(schoolingFolder, 'separationWeight').name('Separation');
+    addParamController(schoolingFolder, 'alignmentWeight').name('Alignment');
+    addParamController(schoolingFolder, 'cohesionWeight').name('Cohesion');
+    addParamController(schoolingFolder, 'avoidanceWeight').name('Obstacle Avoidance');
+    addParamController(schoolingFolder, 'neighborRadius').name('Neighbor Radius');
+    addParamController(schoolingFolder, 'separationRadius').name('Separation Radius');
+
+    // 水槽の寸法のGUI（スライダーを離した時に全体を作り直す）
+    const tankFolder = gui.addFolder('Tank');
+    addParamController(tankFolder, 'tankWidth').name('Width').onFinishChange(rebuildTank);
+    addParamController(tankFolder, 'tankDepth').name('Depth').onFinishChange(rebuildTank);
+    addParamController(tankFolder, 'tankHeight').name('Height').onFinishChange(rebuildTank);
+    
+    // ガラス・水槽台・部屋のGUI
+    const enclosureFolder = gui.addFolder('Enclosure');
+    enclosureFolder.add(params, 'showGlass').name('Glass & Frame').onChange(applyEnclosure);
+    enclosureFolder.addColor(params, 'glassTint').name('Glass Edge Tint').onChange(applyEnclosure);
+    enclosureFolder.add(params, 'showCabinet').name('Cabinet').onChange(applyEnclosure);
+    enclosureFolder.add(params, 'showRoom').name('Background Wall').onChange(applyEnclosure);
+    enclosureFolder.addColor(params, 'wallColor').name('Wall Color').onChange(applyEnclosure);
+    
+    // 底床のブラシのGUI（ブラシを選んでいる間は、砂地のドラッグで視点の代わりに底床を変える）
+    const substrateFolder = gui.addFolder('Substrate');
+    addParamController(substrateFolder, 'substrateTool').name('Brush');
+    addParamController(substrateFolder, 'brushRadius').name('Brush Radius');
+    addParamController(substrateFolder, 'brushStrength').name('Brush Strength');
+    addParamController(substrateFolder, 'paintMaterial').name('Paint Material');
+    substrateFolder.add({ resetSubstrate }, 'resetSubstrate').name('Reset Substrate');
+
+    // レイアウトの保存・読み込み・共有のGUI
+    const layoutFolder = gui.addFolder('Layout');
+    addParamController(layoutFolder, 'seed').name('Seed').onFinishChange(rebuildTank);
+    layoutFolder.add({ exportLayout }, 'exportLayout').name('Export JSON');
+    layoutFolder.add({ importLayout }, 'importLayout').name('Import JSON');
+    layoutFolder.add({ shareLayout }, 'shareLayout').name('Copy Share Link');
+    layoutFolder.add({ randomizeLayout }, 'randomizeLayout').name('New Random Layout');
+    
+    // 岩・水草の編集のGUI
+    const editorFolder = gui.addFolder('Hardscape Editor');
+    editorFolder.add(params, 'editMode').name('Edit Mode').onChange(setEditMode);
+    addParamController(editorFolder, 'paletteItem').name('Place Item');
+    addParamController(editorFolder, 'transformMode').name('Tool (W/E/R)').listen().onChange(mode => {
+        transformControls.setMode(mode);
     });
+    editorFolder.add({ deleteEditorSelection }, 'deleteEditorSelection').name('Delete Selected (Del)');
+    
+    // 描画品質のGUI
+    const performanceFolder = gui.addFolder('Performance');
+    addParamController(performanceFolder, 'quality').name('Quality').onChange(applyQuality);
+    performanceFolder.add(params, 'showStats').name('Show FPS');
+    
+    // 影のGUI
+    const shadowFolder = gui.addFolder('Shadows');
+    shadowFolder.add(params, 'shadows').name('Enabled').onChange(applyShadowSettings);
+    addParamController(shadowFolder, 'shadowType').name('Type').onChange(applyShadowSettings);
+    addParamController(shadowFolder, 'shadowMapSize').name('Resolution').onChange(applyShadowSettings);
+    addParamController(shadowFolder, 'shadowRadius').name('Softness').onChange(applyShadowSettings);
+    
+    // 描画統計のGUI（GPUメモリの解放漏れの確認用）
+    const debugFolder = gui.addFolder('Debug');
+    debugFolder.add(renderStats, 'geometries').name('Geometries').listen().disable();
+    debugFolder.add(renderStats, 'textures').name('Textures').listen().disable();
+    debugFolder.add(renderStats, 'programs').name('Programs').listen().disable();
+    debugFolder.add(renderStats, 'drawCalls').name('Draw Calls').listen().disable();
+    debugFolder.add(renderStats, 'triangles').name('Triangles').listen().disable();
+    debugFolder.add(renderStats, 'sceneObjects').name('Scene Objects').listen().disable();
+    debugFolder.close();
+    
+    // スクリーンショットと録画のGUI
+    const captureFolder = gui.addFolder('Capture');
+    addParamController(captureFolder, 'screenshotResolution').name('Screenshot Size');
+    captureFolder.add({ takeScreenshot }, 'takeScreenshot').name('Take Screenshot');
+    addParamController(captureFolder, 'videoResolution').name('Video Size');
+    addParamController(captureFolder, 'videoFps').name('Video FPS');
+    addParamController(captureFolder, 'videoDuration').name('Video Length (s)');
+    captureFolder.add({ toggleRecording }, 'toggleRecording').name('Start / Stop Recording');
+    captureFolder.add(captureStatus, 'text').name('Status').listen().disable();
+    captureFolder.close();
+    
+    // キオスクモードのGUI（操作がない間はGUIとカーソルを隠してカメラが巡回する）
+    const kioskFolder = gui.addFolder('Kiosk Mode');
+    kioskFolder.add(params, 'kioskMode').name('Enabled').onChange(setKioskMode);
+    addParamController(kioskFolder, 'kioskIdleTimeout').name('Idle Timeout (s)');
+    addParamController(kioskFolder, 'tourSpeed').name('Tour Speed');
+    kioskFolder.add({ addCameraTourPoint }, 'addCameraTourPoint').name('Add Camera Point');
+    kioskFolder.add({ clearCameraTour }, 'clearCameraTour').name('Clear Camera Points');
+    kioskFolder.close();
+    
+    // GUIでの変更はその都度自動保存
+    gui.onFinishChange(saveLayoutToStorage);
 
-    // 初期化時に水槽の要素を追加
-    createFishes(aquariumSize, aquariumHeight);
-    createPlants(aquariumSize, vibrantGreen);
-    createRocks(aquariumSize);
+    // 水草の描画をまとめるバッチ
+    createPlantBatches();
+
+    // 初期化時に水槽の要素を追加（共有リンクや自動保存があればそれを復元）
+    if (!restoreLayout()) {
+        createFishes();
+        createPlants();
+        createRocks();
+        createAirStones();
+        createLightShafts();
+    }
+
+    // 餌と泡
+    createFoodSystem();
+    createBubbleSystem();
+    renderer.domElement.addEventListener('pointerdown', onPointerDown);
+    renderer.domElement.addEventListener('pointerup', onPointerUp);
+    
+    // 底床のブラシ
+    createSubstrateBrushCursor();
+    renderer.domElement.addEventListener('pointerdown', onSubstratePointerDown);
+    renderer.domElement.addEventListener('pointermove', onSubstratePointerMove);
+    
+    // 魚の選択と、岩・水草の編集
+    createFishInfoPanel();
+    createTransformControls();
+    
+    // FPS の表示
+    createPerformanceOverlay();
+    window.addEventListener('keydown', onKeyDown);
+    
+    // キオスクモードではどんな操作でもツアーを止める（OrbitControls より先に受け取る）
+    ['pointerdown', 'pointermove', 'wheel', 'keydown', 'touchstart'].forEach(type => {
+        window.addEventListener(type, onKioskInput, { capture: true, passive: true });
+    });
+    // URLに ?kiosk があれば最初のフレームからツアーを始める
+    if (new URLSearchParams(location.search).has('kiosk')) {
+        setKioskMode(true);
+        kioskState.idleTime = params.kioskIdleTimeout;
+    }
 
     window.addEventListener('resize', onWindowResize);
+    window.addEventListener('pagehide', saveLayoutToStorage);
+    
+    // 共有リンクを同じタブに貼り付けた場合も読み込む
+    window.addEventListener('hashchange', () => {
+        if (loadLayoutFromHash()) {
+            saveLayoutToStorage();
+        }
+    });
     
     animate();
 }
@@ -0,0 +1,60 @@
+// three.js の読み込み先を決めて import map を追加し、main.js を読み込むスクリプト
+// vendor/three/ に three@0.160.0 の build/ と examples/jsm/ を置くと、ネットワークなしで動く
+//   scripts/fetch-three.sh を実行すると vendor/three/ に展開される
+// ローカルに無い場合は CDN (unpkg) から読み込む
+(function () {
+    const LOCAL_BASE = 'vendor/three/';
+    const CDN_BASE = 'https://unpkg.com/three@0.160.0/';
+    const MAIN_SCRIPT = 'js/main.js';
+
+    // ローカルのコピーがあるかを確認する関数
+    async function hasLocalCopy() {
+        try {
+            const response = await fetch(LOCAL_BASE + 'build/three.module.js', { method: 'HEAD' });
+            return response.ok;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // main.js は body の要素を使うので、HTML の読み込みが終わるのを待つ関数
+    function whenDocumentReady() {
+        if (document.readyState !== 'loading') return Promise.resolve();
+        return new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+    }
+
+    // モジュールが読み込めなかった場合に画面にメッセージを表示する関数
+    function showModuleLoadError(base) {
+        const message = document.createElement('div');
+        message.className = 'load-error';
+        message.textContent = base === LOCAL_BASE
+            ? 'Failed to load three.js from ' + LOCAL_BASE + '. Check that the build/ and examples/jsm/ folders are complete.'
+            : 'Failed to load three.js from the CDN. Check the network connection, or place three@0.160.0 in ' + LOCAL_BASE + ' to run offline.';
+        document.body.appendChild(message);
+    }
+
+    // import map はモジュールの読み込みより前に必要なので、読み込み先が決まってから main.js を追加する
+    async function loadMain() {
+        const base = await hasLocalCopy() ? LOCAL_BASE : CDN_BASE;
+
+        const importMap = document.createElement('script');
+        importMap.type = 'importmap';
+        importMap.textContent = JSON.stringify({
+            imports: {
+                'three': base + 'build/three.module.js',
+                'three/addons/': base + 'examples/jsm/'
+            }
+        });
+        document.head.appendChild(importMap);
+
+        await whenDocumentReady();
+
+        const main = document.createElement('script');
+        main.type = 'module';
+        main.src = MAIN_SCRIPT;
+        main.addEventListener('error', () => showModuleLoadError(base));
+        document.body.appendChild(main);
+    }
+
+    loadMain();
+})();
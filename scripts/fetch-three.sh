@@ -0,0 +1,24 @@
+#!/bin/sh
+# three.js を vendor/three/ に展開して、ネットワークなしで動かせるようにするスクリプト
+# 使い方: sh scripts/fetch-three.sh（js/module-loader.js と同じバージョンを取ってくる）
+# vendor/ は .gitignore に入れてあるので、コミットせずに配置先ごとに実行する
+set -eu
+
+VERSION=0.160.0
+URL="https://registry.npmjs.org/three/-/three-$VERSION.tgz"
+
+cd "$(dirname "$0")/.."
+DEST=vendor/three
+
+TMP=$(mktemp -d)
+trap 'rm -rf "$TMP"' EXIT
+
+# 使うのは build/ と examples/jsm/ だけなので、それ以外は展開しない
+curl -fsSL "$URL" | tar -xz -C "$TMP" package/build package/examples/jsm
+
+rm -rf "$DEST"
+mkdir -p "$DEST/examples"
+mv "$TMP/package/build" "$DEST/build"
+mv "$TMP/package/examples/jsm" "$DEST/examples/jsm"
+
+echo "Installed three@$VERSION into $DEST/"